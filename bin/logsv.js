@@ -26,6 +26,7 @@ Options:
   --ws-port PORT               WebSocket port (default: 8080)
   --server URL                 Central server URL for agent
   --name NAME                  Server name for agent
+  --token TOKEN                Agent enrollment token
   --logs PATH1,PATH2           Log files to monitor
   --config FILE                Configuration file
 
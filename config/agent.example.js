@@ -5,32 +5,127 @@ module.exports = {
   // Connection settings
   centralServerUrl: process.env.LOGSCOPE_SERVER || 'ws://localhost:8080',
   
+  // Enrollment token (pre-shared or issued via POST /api/agent-keys)
+  token: process.env.LOGSV_TOKEN,
+  
+  // TLS for wss:// servers - CA bundle to trust, plus an optional client
+  // certificate (CN = serverId) for mutual TLS instead of a token
+  // tls: {
+  //   ca: '/etc/logsv/ca.crt',
+  //   cert: '/etc/logsv/agent.crt',
+  //   key: '/etc/logsv/agent.key'
+  // },
+  
   // Server identification
   serverId: process.env.SERVER_ID || require('os').hostname(),
   serverName: process.env.SERVER_NAME || 'My Server',
   
+  // Named log formats, used as logFiles[].type - grok patterns or named-capture regexes.
+  // fields maps captures to timestamp/level/message (default: captures with those names);
+  // every other capture is shipped as metadata.
+  parsers: {
+    billing: {
+      grok: '%{TIMESTAMP_ISO8601:time} %{LOGLEVEL:lvl} \\[%{DATA:service}\\] %{GREEDYDATA:msg}',
+      fields: { timestamp: 'time', level: 'lvl', message: 'msg' }
+    },
+    legacy: {
+      regex: '^(?<timestamp>\\d{2}/\\w{3}/\\d{4}:[\\d:]+ [+-]\\d{4}) (?<level>\\w) (?<message>.*)$',
+      timestampFormat: 'DD/MMM/YYYY:HH:mm:ss Z',  // YYYY MM MMM DD HH hh mm ss SSS A Z [literal], or epoch / epoch_ms
+      levels: { E: 'ERROR', W: 'WARN', I: 'INFO' }
+    }
+  },
+  
   // Log files to monitor
   logFiles: [
     {
       path: '/var/log/nginx/error.log',
-      type: 'nginx'  // nginx, apache, json, syslog, auto
+      type: 'nginx'  // nginx, apache, json, syslog, auto, custom or a name from parsers
+    },
+    {
+      path: '/var/log/nginx/access.log',
+      type: 'access',  // Common/Combined Log Format (access, clf) or key=value lines (logfmt)
+      ship: { minLevel: 'WARN' }  // 4xx are warnings, 5xx errors
+    },
+    {
+      path: '/var/log/billing/*.log',
+      type: 'billing'
+    },
+    {
+      path: '/opt/queue/worker.log',
+      type: 'custom',  // One-off format defined right here
+      parser: {
+        grok: '%{INT:pid:int} %{WORD:level} %{GREEDYDATA:message}'
+      }
     },
     {
       path: '/var/log/apache2/error.log', 
-      type: 'apache'
+      type: 'apache',
+      ship: { minLevel: 'WARN' }  // Every warning and error from this file
     },
     {
-      path: '/var/log/app/*.log',
-      type: 'auto'  // Smart auto-detection
+      path: '/var/log/app/*.log',  // Globs (*, ?, [abc], {a,b}, **) are expanded
+      type: 'auto',  // Smart auto-detection
+      // Assemble stack traces into one event (true for defaults, or customise)
+      multiline: {
+        start: '^\\d{4}-\\d{2}-\\d{2}',  // Lines that begin a new event (optional)
+        continuation: ['^\\s+', '^\\s*at ', '^Caused by:', '^Traceback'],
+        flushTimeout: 1000  // ms to wait for more lines before sending
+      },
+      // Noisy app logs: all errors, 1% of INFO, none of the health checks
+      ship: {
+        minLevel: 'INFO',
+        sample: { INFO: 0.01 },
+        exclude: ['GET /health']
+      }
     },
     {
       path: '/var/log/syslog',
       type: 'syslog'
+    },
+    // Services that only log to journald (entries written from now on)
+    {
+      type: 'journald',
+      units: ['api.service', 'worker.service'],  // Omit for the whole journal
+      ship: { minLevel: 'WARN' }
+    },
+    // Any process's stdout, restarted with backoff when it exits
+    {
+      type: 'command',
+      cmd: 'kubectl',
+      args: ['logs', '-f', 'deploy/api'],
+      path: 'k8s:api',  // Name shown on the dashboard (default: the command line)
+      format: 'json',  // Parser for the output lines (default: auto)
+      stderr: false,  // Ship stderr lines too
+      restartDelay: 1000,  // First restart delay in ms, doubled up to maxRestartDelay
+      maxRestartDelay: 60000
     }
   ],
   
+  // Where tailing checkpoints (path, inode, offset, line count) are kept across restarts
+  stateDir: process.env.LOGSV_STATE_DIR || require('path').join(require('os').homedir(), '.logsv'),
+  checkpointInterval: 5000,  // Flush checkpoints every N ms (and on shutdown)
+  startFrom: 'end',  // 'end' or 'beginning' when there is no usable checkpoint (per file too)
+  
+  // What gets shipped to the server (per-file `ship` settings override these)
+  ship: {
+    minLevel: 'ERROR',  // DEBUG, INFO, WARN or ERROR
+    minUrgency: 0,  // 0-10, see SmartLogParser.calculateUrgency
+    include: [],  // Regexes - if any are given, only matching lines are shipped
+    exclude: [],  // Regexes - matching lines are never shipped
+    sample: {}  // Fraction of lines kept per level, e.g. { INFO: 0.01, WARN: 0.5 }
+  },
+  
+  // Lines shipped around each error (per-file `context` overrides this; false turns it off).
+  // An error waits up to flushTimeout ms for the lines after it.
+  context: { before: 3, after: 3, flushTimeout: 1000 },
+  
   // Performance settings
   statsInterval: 10,  // Send stats every N log entries
+  statsPeriod: 30000,  // ...and at least every N ms, so quiet servers still report
+  rescanInterval: 10000,  // Look for new/removed files matching logFiles every N ms
+  
+  // Undelivered events are spooled in stateDir and replayed after reconnect
+  maxSpoolMessages: 10000,
   
   // Reconnection settings
   reconnectDelay: 5000,
@@ -9,23 +9,114 @@ module.exports = {
   // Storage limits
   maxErrors: 10000,
   maxServers: 1000,
-  retentionHours: 24,
+  retentionHours: 24,  // Errors (and storage segments) older than this are dropped
+  
+  // Storage backend: 'file' (segments under <dataDir>/errors) or 'memory'
+  storage: {
+    type: 'file',
+    segmentMaxBytes: 8 * 1024 * 1024,
+    segmentMaxAgeMinutes: 60,
+    flushIntervalMs: 1000   // Changed groups are batched and written this often
+  },
+  
+  // Counts for /api/timeseries and the dashboard charts (<dataDir>/timeseries.json):
+  // minute buckets for the last minuteRetentionHours, hour buckets after that
+  timeseries: {
+    minuteRetentionHours: 6,
+    hourRetentionDays: 30
+  },
   
   // AI features
   aiInsights: true,
   autoCategories: true,
   patternDetection: true,
   
+  // Spike insights: each server and category is compared with its own usual error rate
+  anomaly: {
+    sensitivity: 'medium',  // low, medium, high (4, 3, 2 standard deviations) or a number
+    intervalMinutes: 5,     // Window that is scored against the baseline
+    baselineHours: 24,      // How far back the weighted baseline mostly looks
+    minSamples: 12,         // Windows of history needed before judging
+    minCount: 5             // Fewer errors than this in a window are never a spike
+  },
+  
+  // Where the server keeps its state (issued agent keys, ...)
+  dataDir: process.env.DATA_DIR || './data',
+  
+  // Agent authentication - connections without a valid token are refused
+  auth: {
+    // Pre-shared keys, one per agent; without a serverId a key is bound (and saved) on first registration
+    tokens: [
+      // { id: 'web-1', token: process.env.AGENT_TOKEN_WEB1, serverId: 'web-1' }
+    ],
+    // Key ids that are no longer accepted
+    revoked: [],
+    // Needed to issue/revoke per-agent keys via /api/agent-keys
+    adminToken: process.env.LOGSV_ADMIN_TOKEN
+  },
+  
+  // HTTPS/WSS for the dashboard and both WebSocket servers
+  // tls: {
+  //   cert: '/etc/logsv/server.crt',
+  //   key: '/etc/logsv/server.key',
+  //   ca: '/etc/logsv/agents-ca.crt'  // Accept agent client certs (CN = serverId)
+  // },
+  
   // Security (for production)
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: true
   },
   
-  // Alerting (future feature)
+  // POST /api/ingest and OTLP/HTTP /v1/logs for jobs, functions and OTel SDKs (Authorization: Bearer <key>)
+  // ingest: {
+  //   keys: [
+  //     { id: 'nightly-jobs', token: process.env.LOGSV_INGEST_KEY },
+  //     { id: 'billing-fn', token: process.env.LOGSV_BILLING_KEY, serverId: 'billing-lambda' }  // Can only write as this server
+  //   ],
+  //   maxBodyBytes: 5 * 1024 * 1024,  // After gunzip
+  //   otlp: { minLevel: 'WARN' }        // POST /v1/logs: lower severities are acknowledged but not stored
+  // },
+  
+  // Syslog receiver for devices that can't run the agent (port 514 needs root; false disables a transport)
+  // syslog: {
+  //   udpPort: 514,
+  //   tcpPort: 514,             // Octet-counted or newline-framed
+  //   host: '0.0.0.0',
+  //   minLevel: 'WARN',         // Lower levels only update the host's counters
+  //   offlineAfterMinutes: 5    // Silence before a host is shown offline
+  // },
+  
+  // Alerting - rules decide when, channels decide where
   alerts: {
-    email: process.env.ALERT_EMAIL,
-    slack: process.env.SLACK_WEBHOOK,
-    threshold: 10  // Alert after 10 errors in 5 minutes
+    channels: {
+      ops: { type: 'webhook', url: 'https://ops.example.com/hooks/logsv', headers: { 'X-Token': 'secret' } },
+      slack: { type: 'slack', url: process.env.SLACK_WEBHOOK },
+      email: {
+        type: 'smtp',
+        host: 'smtp.example.com',
+        port: 587,            // 465 with secure: true; STARTTLS is used when offered
+        secure: false,
+        auth: { user: 'logsv', pass: process.env.SMTP_PASSWORD },
+        from: 'logsv@example.com',
+        to: ['oncall@example.com']
+      }
+    },
+
+    rules: [
+      // Count-over-window, one alert per server
+      { name: 'error-burst', type: 'count', threshold: 10, windowMinutes: 5, groupBy: 'server', channels: ['slack'] },
+      // Scope by server (wildcards), category and severity (arrays mean any of)
+      { name: 'db-down', type: 'count', threshold: 3, windowMinutes: 1, scope: { server: 'db-*', category: 'Database Connectivity' }, channels: ['email', 'slack'] },
+      { name: 'new-critical', type: 'new-fingerprint', scope: { severity: 'critical' }, channels: ['slack'] },
+      { name: 'agent-offline', type: 'server-offline', afterMinutes: 2, channels: ['email'] },
+      { name: 'anomalies', type: 'insight', insightTypes: ['anomaly', 'pattern'], minConfidence: 80, channels: ['ops'] }
+    ],
+
+    groupWaitSeconds: 10    // Notifications within this window are sent as one message
+    // cooldownMinutes (per rule, default 15) stops a flapping condition from paging again
+
+    // The old shorthand still works and becomes a single 10-in-5-minutes rule:
+    // email: process.env.ALERT_EMAIL, smtp: { host, port, ... }, slack: process.env.SLACK_WEBHOOK, threshold: 10
   }
 };
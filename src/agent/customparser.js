@@ -0,0 +1,245 @@
+// src/agent/customparser.js - User-defined log formats (named-capture regexes and grok patterns)
+//
+//   parsers: {
+//     billing: {
+//       grok: '%{TIMESTAMP_ISO8601:time} %{LOGLEVEL:lvl} \\[%{DATA:service}\\] %{GREEDYDATA:msg}',
+//       fields: { timestamp: 'time', level: 'lvl', message: 'msg' }
+//     },
+//     legacy: {
+//       regex: '^(?<timestamp>\\d{2}/\\w{3}/\\d{4}:[\\d:]+ [+-]\\d{4}) (?<level>\\w) (?<message>.*)$',
+//       timestampFormat: 'DD/MMM/YYYY:HH:mm:ss Z',
+//       levels: { E: 'ERROR', W: 'WARN' }
+//     }
+//   }
+
+// A practical subset of the Logstash grok library
+const GROK_PATTERNS = {
+  WORD: '\\b\\w+\\b',
+  NOTSPACE: '\\S+',
+  SPACE: '\\s*',
+  DATA: '.*?',
+  GREEDYDATA: '.*',
+  INT: '[+-]?\\d+',
+  POSINT: '\\b[1-9]\\d*\\b',
+  NONNEGINT: '\\b\\d+\\b',
+  NUMBER: '[+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)',
+  BASE10NUM: '[+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)',
+  QUOTEDSTRING: '"(?:[^"\\\\]|\\\\.)*"',
+  QS: '%{QUOTEDSTRING}',
+  UUID: '[A-Fa-f0-9]{8}-(?:[A-Fa-f0-9]{4}-){3}[A-Fa-f0-9]{12}',
+  USERNAME: '[a-zA-Z0-9._-]+',
+  USER: '%{USERNAME}',
+  IPV4: '(?:\\d{1,3}\\.){3}\\d{1,3}',
+  IPV6: '[0-9A-Fa-f:]*:[0-9A-Fa-f:.]+',
+  IP: '(?:%{IPV6}|%{IPV4})',
+  HOSTNAME: '\\b[0-9A-Za-z][0-9A-Za-z-]{0,62}(?:\\.[0-9A-Za-z][0-9A-Za-z-]{0,62})*\\.?\\b',
+  IPORHOST: '(?:%{IP}|%{HOSTNAME})',
+  HOSTPORT: '%{IPORHOST}:%{POSINT}',
+  PATH: '(?:/[^\\s]*)+',
+  URIPATH: '(?:/[A-Za-z0-9$.+!*\'(){},~:;=@#%&_\\-]*)+',
+  URIPARAM: '\\?[A-Za-z0-9$.+!*\'|(){},~@#%&/=:;_?\\-\\[\\]<>]*',
+  URIPATHPARAM: '%{URIPATH}(?:%{URIPARAM})?',
+  LOGLEVEL: '[Aa]lert|ALERT|[Tt]race|TRACE|[Dd]ebug|DEBUG|[Nn]otice|NOTICE|[Ii]nfo|INFO|[Ww]arn(?:ing)?|WARN(?:ING)?|[Ee]rr(?:or)?|ERR(?:OR)?|[Cc]rit(?:ical)?|CRIT(?:ICAL)?|[Ff]atal|FATAL|[Ss]evere|SEVERE|[Ee]merg(?:ency)?|EMERG(?:ENCY)?',
+  MONTH: '\\b(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:tember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\b',
+  MONTHNUM: '(?:0?[1-9]|1[0-2])',
+  MONTHDAY: '(?:0[1-9]|[12]\\d|3[01]|[1-9])',
+  DAY: '(?:Mon(?:day)?|Tue(?:sday)?|Wed(?:nesday)?|Thu(?:rsday)?|Fri(?:day)?|Sat(?:urday)?|Sun(?:day)?)',
+  YEAR: '\\d{4}',
+  HOUR: '(?:2[0123]|[01]?\\d)',
+  MINUTE: '[0-5]\\d',
+  SECOND: '(?:[0-5]?\\d|60)(?:[.,]\\d+)?',
+  TIME: '%{HOUR}:%{MINUTE}(?::%{SECOND})?',
+  ISO8601_TIMEZONE: '(?:Z|[+-]%{HOUR}(?::?%{MINUTE}))',
+  TIMESTAMP_ISO8601: '%{YEAR}-%{MONTHNUM}-%{MONTHDAY}[T ]%{HOUR}:?%{MINUTE}(?::?%{SECOND})?%{ISO8601_TIMEZONE}?',
+  DATE_US: '%{MONTHNUM}[/-]%{MONTHDAY}[/-]%{YEAR}',
+  DATE_EU: '%{MONTHDAY}[./-]%{MONTHNUM}[./-]%{YEAR}',
+  HTTPDATE: '%{MONTHDAY}/%{MONTH}/%{YEAR}:%{TIME} [+-]\\d{4}',
+  SYSLOGTIMESTAMP: '%{MONTH} +%{MONTHDAY} %{TIME}',
+  SYSLOGPROG: '[\\w._/%-]+(?:\\[%{POSINT}\\])?'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Expand %{NAME}, %{NAME:field} and %{NAME:field:int} into a named-capture regex
+function compileGrok(pattern, definitions = {}) {
+  const library = { ...GROK_PATTERNS, ...definitions };
+  const groups = {}; // regex group name -> { field, type }
+  let counter = 0;
+
+  const expand = (source, depth) => {
+    if (depth > 20) throw new Error(`Grok pattern nests too deeply: ${pattern}`);
+
+    return source.replace(/%\{(\w+)(?::([\w.@-]+))?(?::(int|float))?\}/g, (match, name, field, type) => {
+      if (!(name in library)) throw new Error(`Unknown grok pattern %{${name}}`);
+
+      const inner = expand(library[name], depth + 1);
+      if (!field) return `(?:${inner})`;
+
+      // Group names must be identifiers - "http.status" is mapped back afterwards
+      const group = `g${counter++}_${field.replace(/\W/g, '_')}`;
+      groups[group] = { field, type };
+      return `(?<${group}>${inner})`;
+    });
+  };
+
+  const source = expand(pattern, 0);
+  return { regex: new RegExp(`^${source}`), groups };
+}
+
+function compileRegex(source) {
+  const regex = source instanceof RegExp ? source : new RegExp(source);
+  const groups = {};
+  const names = (regex.source.match(/\(\?<([A-Za-z_$][\w$]*)>/g) || []).map(group => group.slice(3, -1));
+  names.forEach(name => { groups[name] = { field: name }; });
+
+  if (names.length === 0) throw new Error(`Custom parser regex has no named captures: ${regex}`);
+  return { regex, groups };
+}
+
+// "DD/MMM/YYYY:HH:mm:ss Z" -> function(value) -> Date | null
+function compileTimestampFormat(format) {
+  if (format === 'epoch') return value => new Date(parseFloat(value) * 1000);
+  if (format === 'epoch_ms') return value => new Date(parseFloat(value));
+
+  const tokens = {
+    YYYY: ['year', '\\d{4}'],
+    YY: ['shortYear', '\\d{2}'],
+    MMMM: ['monthName', '[A-Za-z]+'],
+    MMM: ['monthName', '[A-Za-z]{3}'],
+    MM: ['month', '\\d{2}'],
+    M: ['month', '\\d{1,2}'],
+    DD: ['day', '\\d{2}'],
+    D: ['day', '\\d{1,2}'],
+    HH: ['hour', '\\d{2}'],
+    H: ['hour', '\\d{1,2}'],
+    hh: ['hour12', '\\d{2}'],
+    h: ['hour12', '\\d{1,2}'],
+    mm: ['minute', '\\d{2}'],
+    ss: ['second', '\\d{2}'],
+    SSSSSS: ['fraction', '\\d{6}'],
+    SSS: ['fraction', '\\d{3}'],
+    A: ['meridiem', '[AaPp][Mm]'],
+    Z: ['zone', 'Z|[+-]\\d{2}:?\\d{2}']
+  };
+  const names = Object.keys(tokens).sort((a, b) => b.length - a.length);
+
+  const parts = [];
+  let source = '';
+  for (let i = 0; i < format.length;) {
+    // [literal text] is copied as-is
+    if (format[i] === '[') {
+      const end = format.indexOf(']', i);
+      const literal = format.slice(i + 1, end === -1 ? undefined : end);
+      source += literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i = end === -1 ? format.length : end + 1;
+      continue;
+    }
+
+    const token = names.find(name => format.startsWith(name, i));
+    if (token) {
+      parts.push(tokens[token][0]);
+      source += `(${tokens[token][1]})`;
+      i += token.length;
+    } else {
+      source += format[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i++;
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+
+  return value => {
+    const match = String(value).trim().match(regex);
+    if (!match) return null;
+
+    const now = new Date();
+    const values = { year: now.getFullYear(), month: 1, day: 1, hour: 0, minute: 0, second: 0, fraction: 0 };
+    let meridiem = null;
+    let zone = null;
+
+    parts.forEach((part, index) => {
+      const text = match[index + 1];
+      if (part === 'shortYear') values.year = 2000 + parseInt(text, 10);
+      else if (part === 'monthName') values.month = MONTHS.indexOf(text.slice(0, 3).toLowerCase()) + 1;
+      else if (part === 'hour12') values.hour = parseInt(text, 10) % 12;
+      else if (part === 'fraction') values.fraction = parseInt(text.slice(0, 3).padEnd(3, '0'), 10);
+      else if (part === 'meridiem') meridiem = text.toLowerCase();
+      else if (part === 'zone') zone = text;
+      else values[part] = parseInt(text, 10);
+    });
+
+    if (values.month < 1) return null;
+    if (meridiem === 'pm' && values.hour < 12) values.hour += 12;
+
+    const { year, month, day, hour, minute, second, fraction } = values;
+
+    // Without a zone the agent's local time is assumed, like parseTimestamp does
+    if (zone === null) return new Date(year, month - 1, day, hour, minute, second, fraction);
+
+    let offset = 0;
+    if (zone !== 'Z') {
+      const digits = zone.replace(':', '');
+      offset = (digits[0] === '-' ? -1 : 1) * (parseInt(digits.slice(1, 3), 10) * 60 + parseInt(digits.slice(3, 5), 10));
+    }
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, fraction) - offset * 60 * 1000);
+  };
+}
+
+// Returns line -> { timestamp, level, message, fields } or null when nothing matches
+function createCustomParser(definition, name = 'custom') {
+  const matchers = [];
+  const asList = value => (Array.isArray(value) ? value : [value]);
+
+  if (definition.grok) asList(definition.grok).forEach(pattern => matchers.push(compileGrok(pattern, definition.patternDefinitions)));
+  if (definition.regex) asList(definition.regex).forEach(source => matchers.push(compileRegex(source)));
+  if (matchers.length === 0) throw new Error(`Parser "${name}" needs a grok or regex pattern`);
+
+  const mapping = { timestamp: 'timestamp', level: 'level', message: 'message', ...definition.fields };
+  const parseTime = definition.timestampFormat ? compileTimestampFormat(definition.timestampFormat) : null;
+
+  // { E: 'ERROR' } or { ERROR: ['E', 'crit'] }
+  const levels = {};
+  Object.entries(definition.levels || {}).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(alias => { levels[String(alias).toLowerCase()] = key.toUpperCase(); });
+    } else {
+      levels[key.toLowerCase()] = String(value).toUpperCase();
+    }
+  });
+
+  return line => {
+    for (const { regex, groups } of matchers) {
+      const match = line.match(regex);
+      if (!match) continue;
+
+      const fields = {};
+      Object.entries(match.groups || {}).forEach(([group, value]) => {
+        if (value === undefined) return;
+        const { field, type } = groups[group] || { field: group };
+        fields[field] = type === 'int' ? parseInt(value, 10) : type === 'float' ? parseFloat(value) : value;
+      });
+
+      const take = key => {
+        const value = fields[mapping[key]];
+        delete fields[mapping[key]];
+        return value;
+      };
+
+      const timestamp = take('timestamp');
+      const level = take('level');
+      const message = take('message');
+      const parsedTime = timestamp !== undefined && parseTime ? parseTime(timestamp) : null;
+
+      return {
+        timestamp: parsedTime && !isNaN(parsedTime.getTime()) ? parsedTime.toISOString() : timestamp,
+        level: level !== undefined ? (levels[String(level).toLowerCase()] || level) : undefined,
+        message: message !== undefined ? String(message) : line,
+        fields
+      };
+    }
+
+    return null;
+  };
+}
+
+module.exports = { createCustomParser, compileGrok, compileTimestampFormat, GROK_PATTERNS };
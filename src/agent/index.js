@@ -2,8 +2,16 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const { createCustomParser, compileTimestampFormat } = require('./customparser');
+
+// Common/Combined Log Format - also nginx's default `log_format combined`:
+// 127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /a.gif HTTP/1.0" 200 2326 "http://ref/" "Mozilla/4.08" 0.012
+const ACCESS_LOG = /^(\S+) \S+ (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(.*)$/;
+const parseCLFTime = compileTimestampFormat('DD/MMM/YYYY:HH:mm:ss Z');
 
 // Ultra-light log parser with AI-powered categorization
 class SmartLogParser {
@@ -13,16 +21,63 @@ class SmartLogParser {
       apache: this.parseApache.bind(this),
       json: this.parseJSON.bind(this),
       syslog: this.parseSyslog.bind(this),
+      access: this.parseAccess.bind(this),
+      clf: this.parseAccess.bind(this),
+      logfmt: this.parseLogfmt.bind(this),
+      journald: this.parseJournald.bind(this),
       auto: this.parseAuto.bind(this)
     };
+    this.inlineParsers = new WeakMap(); // logFile.parser definition -> parse function
+  }
+
+  // Named types reusable across files: a definition ({ grok | regex, fields, ... }) or a function(line, logFile)
+  registerParser(name, definition) {
+    this.parsers[name] = typeof definition === 'function'
+      ? definition
+      : this.customParser(definition, name);
+  }
+
+  customParser(definition, name) {
+    const parseCustom = createCustomParser(definition, name);
+
+    return (line, logFile) => {
+      const custom = parseCustom(line);
+      if (!custom) return this.parseGeneric(line, logFile);
+
+      return {
+        timestamp: this.parseTimestamp(custom.timestamp),
+        level: custom.level !== undefined ? this.normalizeLevel(custom.level) : this.detectLevelFromContent(custom.message),
+        message: custom.message,
+        originalLine: line,
+        parser: name,
+        metadata: custom.fields
+      };
+    };
+  }
+
+  // type: 'custom' carries its own definition in logFile.parser
+  parserFor(logFile) {
+    if (logFile.type !== 'custom') return this.parsers[logFile.type] || this.parsers.auto;
+
+    if (!logFile.parser) throw new Error(`${logFile.path}: type 'custom' needs a parser definition`);
+    if (!this.inlineParsers.has(logFile.parser)) {
+      this.inlineParsers.set(logFile.parser, this.customParser(logFile.parser, 'custom'));
+    }
+    return this.inlineParsers.get(logFile.parser);
   }
 
-  parse(line, logFile) {
-    const parser = this.parsers[logFile.type] || this.parsers.auto;
+  parse(line, logFile, stackLines = []) {
+    const parser = this.parserFor(logFile);
     const result = parser(line, logFile);
     
+    // Multi-line events: the first line is the headline, the rest is the stack
+    if (stackLines.length > 0) {
+      result.stack = stackLines.join('\n');
+    }
+    
     // AI enhancement - add semantic information
-    result.semantics = this.extractSemantics(result.message);
+    result.semantics = this.extractSemantics(result.message, result.request);
+    result.semantics.hasStackTrace = Boolean(result.stack);
     result.urgency = this.calculateUrgency(result);
     
     return result;
@@ -31,9 +86,11 @@ class SmartLogParser {
   parseAuto(line, logFile) {
     // Smart auto-detection based on content patterns
     if (line.trim().startsWith('{')) return this.parseJSON(line, logFile);
+    if (ACCESS_LOG.test(line)) return this.parseAccess(line, logFile);
     if (line.includes('nginx')) return this.parseNginx(line, logFile);
     if (line.includes('apache')) return this.parseApache(line, logFile);
     if (this.isSyslogFormat(line)) return this.parseSyslog(line, logFile);
+    if (this.isLogfmt(line)) return this.parseLogfmt(line, logFile);
     
     return this.parseGeneric(line, logFile);
   }
@@ -107,6 +164,9 @@ class SmartLogParser {
       };
     }
     
+    // Same file type for access.log and error.log
+    if (ACCESS_LOG.test(line)) return this.parseAccess(line, logFile);
+    
     return this.parseGeneric(line, logFile);
   }
 
@@ -125,6 +185,8 @@ class SmartLogParser {
       };
     }
     
+    if (ACCESS_LOG.test(line)) return this.parseAccess(line, logFile);
+    
     return this.parseGeneric(line, logFile);
   }
 
@@ -150,6 +212,170 @@ class SmartLogParser {
     return this.parseGeneric(line, logFile);
   }
 
+  parseAccess(line, logFile) {
+    const match = line.match(ACCESS_LOG);
+    if (!match) return this.parseGeneric(line, logFile);
+
+    const [, remoteAddr, remoteUser, time, requestLine, status, bytes, referer, userAgent, rest] = match;
+    const [method, requestPath, protocol] = requestLine.split(' ');
+    const extra = this.parseKeyValues(rest);
+
+    // Trailing extras: a bare $request_time (seconds) or rt=/request_time=/duration=
+    const bareTime = rest.trim().match(/^(\d+(?:\.\d+)?)(?:\s|$)/);
+    const latency = bareTime
+      ? parseFloat(bareTime[1]) * 1000
+      : this.latencyFrom(extra);
+
+    const request = {
+      method: requestPath ? method : undefined,
+      path: requestPath || requestLine,
+      protocol,
+      status: parseInt(status, 10),
+      bytes: bytes === '-' ? 0 : parseInt(bytes, 10),
+      latency,
+      userAgent: userAgent && userAgent !== '-' ? userAgent : undefined,
+      referer: referer && referer !== '-' ? referer : undefined,
+      remoteAddr,
+      remoteUser: remoteUser !== '-' ? remoteUser : undefined
+    };
+    const timestamp = parseCLFTime(time);
+
+    return {
+      timestamp: timestamp ? timestamp.toISOString() : this.parseTimestamp(time),
+      level: this.levelFromStatus(request.status),
+      message: `${request.method ? request.method + ' ' : ''}${request.path} ${request.status}`,
+      originalLine: line,
+      parser: 'access',
+      request
+    };
+  }
+
+  // journalctl -o json: one entry per line, level from the syslog PRIORITY (0 emerg ... 7 debug)
+  parseJournald(line, logFile) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return this.parseGeneric(line, logFile);
+    }
+
+    const priority = parseInt(entry.PRIORITY, 10);
+    const level = isNaN(priority)
+      ? null
+      : priority <= 3 ? 'ERROR' : priority === 4 ? 'WARN' : priority === 7 ? 'DEBUG' : 'INFO';
+
+    // Non-UTF-8 messages come through as byte arrays
+    const message = Array.isArray(entry.MESSAGE)
+      ? Buffer.from(entry.MESSAGE).toString('utf8')
+      : String(entry.MESSAGE || '');
+
+    const micros = parseInt(entry.__REALTIME_TIMESTAMP, 10);
+
+    return {
+      timestamp: isNaN(micros) ? new Date().toISOString() : new Date(micros / 1000).toISOString(),
+      level: level || this.detectLevelFromContent(message),
+      message,
+      originalLine: message,
+      parser: 'journald',
+      metadata: {
+        service: entry.SYSLOG_IDENTIFIER || entry._COMM,
+        unit: entry._SYSTEMD_UNIT,
+        pid: entry._PID,
+        hostname: entry._HOSTNAME,
+        priority: isNaN(priority) ? undefined : priority
+      }
+    };
+  }
+
+  // level=error msg="connection reset" method=GET path=/api status=502 duration=1.2s
+  parseLogfmt(line, logFile) {
+    const fields = this.parseKeyValues(line);
+    if (Object.keys(fields).length === 0) return this.parseGeneric(line, logFile);
+
+    const take = (...keys) => {
+      const key = keys.find(name => fields[name] !== undefined);
+      if (!key) return undefined;
+      const value = fields[key];
+      delete fields[key];
+      return value;
+    };
+
+    const timestamp = take('time', 'ts', 'timestamp', '@timestamp');
+    const level = take('level', 'lvl', 'severity');
+    const message = take('msg', 'message', 'error', 'err');
+    const status = parseInt(take('status', 'status_code', 'code'), 10);
+    const latency = this.latencyFrom(fields);
+    ['duration', 'latency', 'took', 'elapsed', 'request_time', 'rt', 'duration_ms', 'latency_ms'].forEach(key => delete fields[key]);
+
+    const request = {
+      method: take('method', 'http_method'),
+      path: take('path', 'uri', 'url', 'request_uri'),
+      status: isNaN(status) ? undefined : status,
+      bytes: take('bytes', 'size', 'body_bytes_sent'),
+      latency,
+      userAgent: take('user_agent', 'ua', 'http_user_agent'),
+      remoteAddr: take('remote_addr', 'ip', 'client_ip', 'remote')
+    };
+    if (request.bytes !== undefined) request.bytes = parseInt(request.bytes, 10);
+    const isRequest = request.method || request.path || request.status !== undefined;
+
+    // A 5xx is an error even when the app logged it at info
+    let resolvedLevel = level ? this.normalizeLevel(level) : this.detectLevelFromContent(message || line);
+    if (request.status >= 400 && LEVELS.indexOf(this.levelFromStatus(request.status)) > LEVELS.indexOf(resolvedLevel)) {
+      resolvedLevel = this.levelFromStatus(request.status);
+    }
+
+    return {
+      timestamp: this.parseTimestamp(timestamp),
+      level: resolvedLevel,
+      message: message || (isRequest ? [request.method, request.path, request.status].filter(v => v !== undefined).join(' ') : line.trim()),
+      originalLine: line,
+      parser: 'logfmt',
+      request: isRequest ? request : undefined,
+      metadata: fields
+    };
+  }
+
+  // key=value and key="quoted value" pairs; bare words are ignored
+  parseKeyValues(text) {
+    const fields = {};
+    const pattern = /([\w.@-]+)=(?:"((?:[^"\\]|\\.)*)"|(\S*))/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      fields[match[1]] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+    return fields;
+  }
+
+  // Latency in ms from request_time=0.12 (s), duration=120ms / 1.2s, latency_ms=120...
+  latencyFrom(fields) {
+    for (const key of ['request_time', 'rt', 'upstream_response_time']) {
+      if (fields[key] !== undefined && !isNaN(parseFloat(fields[key]))) return parseFloat(fields[key]) * 1000;
+    }
+    for (const key of ['duration_ms', 'latency_ms']) {
+      if (fields[key] !== undefined && !isNaN(parseFloat(fields[key]))) return parseFloat(fields[key]);
+    }
+    for (const key of ['duration', 'latency', 'took', 'elapsed']) {
+      const match = fields[key] !== undefined && String(fields[key]).match(/^(\d+(?:\.\d+)?)(ns|us|µs|ms|s|m)?$/);
+      if (match) {
+        const factor = { ns: 1e-6, us: 1e-3, 'µs': 1e-3, ms: 1, s: 1000, m: 60000 }[match[2] || 'ms'];
+        return parseFloat(match[1]) * factor;
+      }
+    }
+    return undefined;
+  }
+
+  levelFromStatus(status) {
+    if (status >= 500) return 'ERROR';
+    if (status >= 400) return 'WARN';
+    return 'INFO';
+  }
+
+  isLogfmt(line) {
+    return (line.match(/(?:^|\s)[\w.@-]+=(?:"[^"]*"|\S*)/g) || []).length >= 2;
+  }
+
   isSyslogFormat(line) {
     return /^\w{3}\s+\d{1,2} \d{2}:\d{2}:\d{2} \S+ \S+/.test(line);
   }
@@ -157,7 +383,8 @@ class SmartLogParser {
   normalizeLevel(level) {
     if (!level) return 'INFO';
     
-    const normalized = level.toUpperCase();
+    // JSON and custom parsers can hand over numbers (pino's 50) or booleans
+    const normalized = String(level).toUpperCase();
     const mappings = {
       'E': 'ERROR', 'ERR': 'ERROR', 'FATAL': 'ERROR', 'CRITICAL': 'ERROR', 'CRIT': 'ERROR',
       'W': 'WARN', 'WARNING': 'WARN', 'WARN': 'WARN',
@@ -180,16 +407,24 @@ class SmartLogParser {
     return 'INFO';
   }
 
-  extractSemantics(message) {
+  extractSemantics(message, request) {
     const lower = message.toLowerCase();
+    
+    // Parsed requests know their status; otherwise only trust codes that look like HTTP ones
+    const mentioned = message.match(/\b(?:HTTP(?:\/[\d.]+)?|status(?: code)?|code)[\s:=]*([1-5]\d{2})\b/i);
+    const statusCode = request && request.status !== undefined
+      ? request.status
+      : mentioned ? parseInt(mentioned[1], 10) : null;
+    
     const semantics = {
       hasIpAddress: /\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/.test(message),
       hasUrl: /https?:\/\/[^\s]+/.test(message),
-      hasStatusCode: /\b[4-5]\d{2}\b/.test(message),
+      hasStatusCode: statusCode !== null && statusCode >= 400,
+      statusCode,
       hasTimestamp: /\d{4}-\d{2}-\d{2}/.test(message),
       hasDatabase: ['database', 'db', 'sql', 'query', 'table', 'connection'].some(k => lower.includes(k)),
       hasNetwork: ['network', 'socket', 'connection', 'host', 'port'].some(k => lower.includes(k)),
-      hasAuth: ['auth', 'login', 'password', 'token', 'permission'].some(k => lower.includes(k)),
+      hasAuth: ['auth', 'login', 'password', 'token', 'permission'].some(k => lower.includes(k)) || statusCode === 401 || statusCode === 403,
       hasMemory: ['memory', 'heap', 'oom', 'malloc'].some(k => lower.includes(k)),
       hasSecurity: ['security', 'attack', 'breach', 'suspicious'].some(k => lower.includes(k))
     };
@@ -211,7 +446,9 @@ class SmartLogParser {
       if (parsed.semantics.hasAuth) score += 3;
       if (parsed.semantics.hasSecurity) score += 5;
       if (parsed.semantics.hasMemory) score += 2;
-      if (parsed.semantics.hasStatusCode) score += 1;
+      if (parsed.semantics.statusCode >= 500) score += 2;
+      else if (parsed.semantics.hasStatusCode) score += 1;
+      if (parsed.semantics.hasStackTrace) score += 2;
     }
     
     // Keyword analysis
@@ -244,71 +481,595 @@ class SmartLogParser {
   }
 }
 
+// Minimal glob support (*, ?, [abc], {a,b} and **) - still zero dependencies!
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+function globToRegExp(segment) {
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+
+    if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = segment.indexOf(']', i + 1);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        const body = segment.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        regex += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|\\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+function expandGlob(pattern) {
+  const resolved = path.resolve(pattern);
+  const root = path.parse(resolved).root;
+  const segments = resolved.slice(root.length).split(path.sep).filter(Boolean);
+  const results = new Set();
+
+  walkGlob(root, segments, results);
+
+  return Array.from(results).sort();
+}
+
+function walkGlob(dir, segments, results) {
+  if (segments.length === 0) return;
+
+  const [segment, ...rest] = segments;
+
+  // "**" matches zero or more directories (a trailing "**" means every file below)
+  if (segment === '**') {
+    const remaining = rest.length > 0 ? rest : ['*'];
+    walkGlob(dir, remaining, results);
+
+    readDirSafe(dir)
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .forEach(entry => walkGlob(path.join(dir, entry.name), segments, results));
+    return;
+  }
+
+  if (!isGlob(segment)) {
+    const next = path.join(dir, segment);
+    if (rest.length > 0) {
+      walkGlob(next, rest, results);
+    } else if (isFile(next)) {
+      results.add(next);
+    }
+    return;
+  }
+
+  const regex = globToRegExp(segment);
+
+  readDirSafe(dir).forEach(entry => {
+    // Like shells, wildcards don't match hidden files unless asked to
+    if (entry.name.startsWith('.') && !segment.startsWith('.')) return;
+    if (!regex.test(entry.name)) return;
+
+    const next = path.join(dir, entry.name);
+    if (rest.length > 0) {
+      walkGlob(next, rest, results);
+    } else if (isFile(next)) {
+      results.add(next);
+    }
+  });
+}
+
+function readDirSafe(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Which parsed lines get shipped to the server - one policy per logFile entry
+const LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+
+class ShippingPolicy {
+  constructor(options = {}, random = Math.random) {
+    this.minLevel = String(options.minLevel || 'ERROR').toUpperCase();
+    this.minUrgency = options.minUrgency || 0;
+    this.include = ShippingPolicy.toRegExps(options.include);
+    this.exclude = ShippingPolicy.toRegExps(options.exclude);
+    this.random = random;
+
+    // { INFO: 0.01 } keeps 1% of INFO lines; levels not listed are kept in full
+    this.sample = {};
+    Object.entries(options.sample || {}).forEach(([level, rate]) => {
+      this.sample[level.toUpperCase()] = Math.max(0, Math.min(1, Number(rate)));
+    });
+
+    if (!LEVELS.includes(this.minLevel)) {
+      throw new Error(`Unknown minLevel "${options.minLevel}" (expected one of ${LEVELS.join(', ')})`);
+    }
+  }
+
+  static toRegExps(patterns) {
+    if (!patterns) return [];
+    return (Array.isArray(patterns) ? patterns : [patterns])
+      .map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern)));
+  }
+
+  // Unknown levels (ALERT, SEVERE...) rank with INFO
+  rank(level) {
+    const index = LEVELS.indexOf(level);
+    return index === -1 ? LEVELS.indexOf('INFO') : index;
+  }
+
+  // Sample rate the line was kept at, or 0 when it stays on this machine
+  decide(parsed) {
+    if (this.rank(parsed.level) < this.rank(this.minLevel)) return 0;
+    if ((parsed.urgency || 0) < this.minUrgency) return 0;
+
+    const text = parsed.originalLine || parsed.message;
+    if (this.exclude.some(pattern => pattern.test(text))) return 0;
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(text))) return 0;
+
+    const rate = this.sample[parsed.level] !== undefined ? this.sample[parsed.level] : 1;
+    if (rate < 1 && this.random() >= rate) return 0;
+
+    return rate;
+  }
+
+  // Reported to the server at registration
+  describe() {
+    return {
+      minLevel: this.minLevel,
+      minUrgency: this.minUrgency,
+      include: this.include.map(pattern => pattern.toString()),
+      exclude: this.exclude.map(pattern => pattern.toString()),
+      sample: { ...this.sample }
+    };
+  }
+}
+
+// Multi-line event assembly (stack traces arrive as one event, not dozens)
+class MultilineAssembler {
+  constructor(options, emit) {
+    const config = options === true ? {} : options;
+    
+    this.start = config.start ? new RegExp(config.start) : null;
+    this.continuation = (config.continuation || MultilineAssembler.defaultContinuation)
+      .map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern));
+    this.flushTimeout = config.flushTimeout || 1000;
+    this.maxLines = config.maxLines || 500;
+    this.emit = emit;
+    this.lines = null;
+    this.position = null; // Line number and offset of the event's first line
+    this.lastLine = null;
+    this.timer = null;
+  }
+
+  static get defaultContinuation() {
+    return [
+      /^\s+/,                                        // Indented lines
+      /^\s*at\s/,                                    // Java / Node frames
+      /^Caused by:/,                                 // Java nested causes
+      /^Traceback \(most recent call last\)/,        // Python traceback header
+      /^[A-Za-z_][\w.$]*(Error|Exception)(: |$)/,    // Exception class line
+      /^\s*\.\.\. \d+ (more|common frames omitted)/  // Truncated Java frames
+    ];
+  }
+
+  isContinuation(line) {
+    if (this.continuation.some(pattern => pattern.test(line))) return true;
+    // With an explicit start pattern, anything that doesn't start an event continues one
+    return this.start ? !this.start.test(line) : false;
+  }
+
+  push(line, position = {}) {
+    if (this.lines && this.lines.length < this.maxLines && this.isContinuation(line)) {
+      this.lines.push(line);
+    } else {
+      this.flush();
+      this.lines = [line];
+      this.position = position;
+    }
+    this.lastLine = position.lineNumber;
+    
+    // Nothing else arrived in time - the event is complete
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.flushTimeout);
+  }
+
+  flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (!this.lines) return;
+    
+    const lines = this.lines;
+    this.lines = null;
+    this.emit(lines, { ...this.position, lastLine: this.lastLine });
+  }
+
+  // Position of the first line of the event still being assembled
+  oldestHeld() {
+    return this.lines ? this.position : null;
+  }
+}
+
+// Lines around shipped events. The last `before` lines of a source are kept in a ring;
+// an event waits until `after` more lines have arrived, or flushTimeout has passed.
+class ContextBuffer {
+  constructor(options, send) {
+    this.before = options.before !== undefined ? options.before : 3;
+    this.after = options.after !== undefined ? options.after : 3;
+    this.flushTimeout = options.flushTimeout || 1000;
+    this.maxLineLength = options.maxLineLength || 1000;
+    // Room for the lines of a whole multi-line event plus what came before it
+    this.capacity = this.before + (options.maxEventLines || 1);
+    this.send = send;
+    this.ring = []; // { lineNumber, text }, oldest first
+    this.pending = []; // { data, lastLine }
+    this.timer = null;
+  }
+
+  record(text, lineNumber) {
+    const line = { lineNumber, text: text.length > this.maxLineLength ? `${text.slice(0, this.maxLineLength)}…` : text };
+
+    this.ring.push(line);
+    if (this.ring.length > this.capacity) this.ring.shift();
+
+    if (this.pending.length === 0) return;
+    this.pending.forEach(held => {
+      if (lineNumber > held.lastLine && held.data.context.after.length < this.after) held.data.context.after.push(line);
+    });
+    this.release(held => held.data.context.after.length >= this.after);
+  }
+
+  // `data` is sent once its context is complete
+  hold(data, firstLine, lastLine = firstLine) {
+    data.context = {
+      before: this.ring.filter(line => line.lineNumber < firstLine).slice(-this.before),
+      after: []
+    };
+
+    if (this.after === 0) return this.send(data);
+
+    this.pending.push({ data, lastLine });
+    if (!this.timer) this.timer = setTimeout(() => this.flush(), this.flushTimeout);
+  }
+
+  release(isComplete) {
+    const ready = this.pending.filter(isComplete);
+    if (ready.length === 0) return;
+
+    this.pending = this.pending.filter(held => !isComplete(held));
+    ready.forEach(held => this.send(held.data));
+
+    if (this.pending.length === 0 && this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.release(() => true);
+  }
+
+  // Position of the earliest event still waiting for its context
+  oldestHeld() {
+    return this.pending.reduce((oldest, held) => (
+      !oldest || held.data.lineNumber < oldest.lineNumber ? { lineNumber: held.data.lineNumber, offset: held.data.offset } : oldest
+    ), null);
+  }
+}
+
+// Files whose lines are counted before tailing starts; bigger ones are counted in the background
+const SYNC_COUNT_BYTES = 1024 * 1024;
+
+function countNewlines(buffer) {
+  let count = 0;
+  for (let i = buffer.indexOf(0x0a); i !== -1; i = buffer.indexOf(0x0a, i + 1)) count++;
+  return count;
+}
+
 // Ultra-lightweight file tailer (no external dependencies!)
+// Follows the file by name like `tail -F`: rotation is detected by inode, truncation by size
 class FileTailer {
-  constructor(filePath, callback) {
+  constructor(filePath, callback, options = {}) {
     this.filePath = filePath;
-    this.callback = callback;
-    this.position = 0;
+    this.callback = callback; // (line, { lineNumber, offset })
+    this.startFrom = options.startFrom || 'end';
+    this.checkpoint = options.checkpoint || null;
+    this.onRotate = options.onRotate || null;
+    this.partialTimeout = options.partialTimeout || 1000;
+    this.position = 0; // Bytes read so far
+    this.lineOffset = 0; // Where the next (or the unfinished) line starts
+    this.lineNumber = 0; // Complete lines before lineOffset - null while a big file is being counted
+    this.partial = ''; // Text of an unfinished last line
+    this.partialEmitted = false;
+    this.partialTimer = null;
+    this.decoder = new StringDecoder('utf8');
+    this.inode = null;
+    this.fd = null;
     this.running = false;
     this.watchTimeout = null;
+    this.listener = null;
+    this.attempt = 0;
   }
 
+  // Resolves once the file is being followed (or a retry is scheduled)
   start() {
     this.running = true;
+    const attempt = ++this.attempt;
+
+    // Resume from the saved checkpoint, or from where we were before a retry
+    const resume = this.checkpoint || (this.inode !== null && this.lineNumber !== null ? { inode: this.inode, offset: this.lineOffset, line: this.lineNumber } : null);
     
-    // Get initial file size
     try {
-      const stats = fs.statSync(this.filePath);
-      this.position = stats.size; // Start from end (like tail -f)
+      this.open();
+      this.seek(this.initialPosition(fs.fstatSync(this.fd), resume));
+      // Checkpoints from before line tracking have no line count
+      if (resume && resume.offset === this.position && typeof resume.line === 'number') {
+        this.lineNumber = resume.line;
+      } else if (this.position <= SYNC_COUNT_BYTES) {
+        this.lineNumber = this.countLines(this.position);
+      } else {
+        this.lineNumber = null;
+      }
     } catch (error) {
       console.warn(`Cannot access ${this.filePath}:`, error.message);
-      return this.scheduleRetry();
+      this.scheduleRetry();
+      return Promise.resolve();
     }
     
+    this.checkpoint = null;
+    if (this.lineNumber !== null) {
+      this.follow();
+      return Promise.resolve();
+    }
+
+    // Counting a multi-GB file would hold up every other source - lines written
+    // meanwhile are still read, from the position fixed above, once it's done
+    return this.countLinesInBackground(this.position).then(count => {
+      if (!this.running || attempt !== this.attempt) return;
+      this.lineNumber = count;
+      this.follow();
+    }, error => {
+      if (!this.running || attempt !== this.attempt) return;
+      console.warn(`Cannot count lines in ${this.filePath}:`, error.message);
+      this.scheduleRetry();
+    });
+  }
+
+  follow() {
     this.watch();
+    this.readNewLines();
+  }
+
+  initialPosition(stats, resume) {
+    // Same file and it hasn't shrunk since - carry on exactly where we stopped
+    if (resume && resume.inode === stats.ino && resume.offset <= stats.size) {
+      return resume.offset;
+    }
+
+    // Otherwise start from end (like tail -f) unless configured to read it all
+    return this.startFrom === 'beginning' ? 0 : stats.size;
+  }
+
+  seek(offset) {
+    if (this.partialTimer) clearTimeout(this.partialTimer);
+    this.partialTimer = null;
+    this.position = offset;
+    this.lineOffset = offset;
+    this.lineNumber = 0;
+    this.partial = '';
+    this.partialEmitted = false;
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  // Newlines before `end`, read once when tailing starts somewhere other than the top
+  countLines(end) {
+    const chunk = Buffer.alloc(Math.min(Math.max(end, 1), SYNC_COUNT_BYTES));
+    let count = 0;
+
+    for (let offset = 0; offset < end;) {
+      const bytesRead = fs.readSync(this.fd, chunk, 0, Math.min(chunk.length, end - offset), offset);
+      if (bytesRead === 0) break;
+
+      count += countNewlines(chunk.subarray(0, bytesRead));
+      offset += bytesRead;
+    }
+
+    return count;
+  }
+
+  // The same, a chunk at a time without blocking the event loop
+  async countLinesInBackground(end) {
+    const fd = this.fd;
+    const chunk = Buffer.alloc(SYNC_COUNT_BYTES);
+    const read = (length, position) => new Promise((resolve, reject) => {
+      fs.read(fd, chunk, 0, length, position, (error, bytesRead) => (error ? reject(error) : resolve(bytesRead)));
+    });
+    let count = 0;
+
+    for (let offset = 0; offset < end;) {
+      const bytesRead = await read(Math.min(chunk.length, end - offset), offset);
+      if (bytesRead === 0 || !this.running) break;
+
+      count += countNewlines(chunk.subarray(0, bytesRead));
+      offset += bytesRead;
+    }
+
+    return count;
+  }
+
+  open() {
+    this.close();
+    this.fd = fs.openSync(this.filePath, 'r');
+    this.inode = fs.fstatSync(this.fd).ino;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    try {
+      fs.closeSync(this.fd);
+    } catch (error) {
+      // Already closed
+    }
+    this.fd = null;
   }
 
   watch() {
     if (!this.running) return;
     
     try {
-      fs.watchFile(this.filePath, { interval: 500 }, (curr, prev) => {
-        if (curr.size > prev.size) {
-          this.readNewLines();
-        }
-      });
+      if (this.listener) fs.unwatchFile(this.filePath, this.listener);
+      this.listener = (curr) => this.check(curr);
+      fs.watchFile(this.filePath, { interval: 500 }, this.listener);
     } catch (error) {
       console.warn(`Error watching ${this.filePath}:`, error.message);
       this.scheduleRetry();
     }
   }
 
+  check(curr) {
+    if (!this.running) return;
+
+    // File moved away and not recreated yet - keep draining what we have open
+    if (curr.ino === 0) {
+      this.readNewLines();
+      return;
+    }
+
+    if (curr.ino !== this.inode) {
+      this.handleRotation();
+    } else if (curr.size < this.position) {
+      this.handleTruncation();
+    } else if (curr.size > this.position) {
+      this.readNewLines();
+    }
+  }
+
+  handleRotation() {
+    const previousInode = this.inode;
+
+    // Finish the old file first - the fd still points at it after a rename
+    this.readNewLines();
+    this.flushPartial();
+
+    try {
+      this.open();
+    } catch (error) {
+      console.warn(`Cannot reopen ${this.filePath}:`, error.message);
+      this.close();
+      return this.scheduleRetry();
+    }
+
+    this.seek(0);
+    this.reportRotation('rotated', { previousInode });
+    this.readNewLines();
+  }
+
+  handleTruncation() {
+    this.flushPartial();
+    this.seek(0);
+    this.reportRotation('truncated');
+    this.readNewLines();
+  }
+
+  reportRotation(reason, details = {}) {
+    console.log(`🔄 ${this.filePath} was ${reason}`);
+    if (this.onRotate) {
+      this.onRotate({ reason, filePath: this.filePath, inode: this.inode, ...details });
+    }
+  }
+
   readNewLines() {
+    if (this.fd === null || this.lineNumber === null) return;
+
     try {
-      const fd = fs.openSync(this.filePath, 'r');
-      const stats = fs.statSync(this.filePath);
-      
-      if (stats.size <= this.position) return;
-      
-      const bufferSize = stats.size - this.position;
-      const buffer = Buffer.alloc(bufferSize);
-      
-      fs.readSync(fd, buffer, 0, bufferSize, this.position);
-      fs.closeSync(fd);
+      const size = fs.fstatSync(this.fd).size;
       
-      const content = buffer.toString('utf8');
-      const lines = content.split('\n').filter(line => line.trim());
+      if (size <= this.position) return;
       
-      lines.forEach(line => this.callback(line));
-      
-      this.position = stats.size;
+      // Read in chunks so a large backlog doesn't need one huge buffer
+      const chunk = Buffer.alloc(Math.min(size - this.position, 64 * 1024));
+
+      while (this.position < size) {
+        const length = Math.min(chunk.length, size - this.position);
+        const bytesRead = fs.readSync(this.fd, chunk, 0, length, this.position);
+        if (bytesRead === 0) break;
+
+        this.position += bytesRead;
+        this.partial += this.decoder.write(chunk.slice(0, bytesRead));
+
+        const lines = this.partial.split('\n');
+        this.partial = lines.pop();
+        lines.forEach(line => this.completeLine(line));
+      }
+
+      // Wait a moment for the rest of an unfinished line before passing it on
+      if (this.partial && !this.partialTimer) {
+        this.partialTimer = setTimeout(() => this.flushPartial(), this.partialTimeout);
+      }
     } catch (error) {
       console.warn(`Error reading ${this.filePath}:`, error.message);
       this.scheduleRetry();
     }
   }
 
+  completeLine(text) {
+    // The start of this line may already have gone out on its own
+    const emitted = this.partialEmitted || '';
+    const line = text.slice(emitted.length);
+    const position = { lineNumber: this.lineNumber + 1, offset: this.lineOffset + Buffer.byteLength(emitted) };
+
+    this.lineNumber++;
+    this.lineOffset += Buffer.byteLength(text) + 1;
+    this.partialEmitted = false;
+    if (this.partialTimer) clearTimeout(this.partialTimer);
+    this.partialTimer = null;
+
+    if (line.trim()) this.callback(line, position);
+  }
+
+  // A last line without a newline after partialTimeout; its line number stays reserved
+  flushPartial() {
+    if (this.partialTimer) clearTimeout(this.partialTimer);
+    this.partialTimer = null;
+
+    const emitted = this.partialEmitted || '';
+    const text = this.partial.slice(emitted.length);
+    if (!text.trim()) return;
+
+    this.partialEmitted = this.partial;
+    this.callback(text, { lineNumber: this.lineNumber + 1, offset: this.lineOffset + Buffer.byteLength(emitted) });
+  }
+
   scheduleRetry() {
     if (this.watchTimeout) clearTimeout(this.watchTimeout);
     
@@ -323,7 +1084,273 @@ class FileTailer {
   stop() {
     this.running = false;
     if (this.watchTimeout) clearTimeout(this.watchTimeout);
-    fs.unwatchFile(this.filePath);
+    if (this.partialTimer) clearTimeout(this.partialTimer);
+    this.partialTimer = null;
+    if (this.listener) fs.unwatchFile(this.filePath, this.listener);
+    this.listener = null;
+    this.close();
+  }
+}
+
+// Streams a child process's stdout line by line, restarting it with backoff when it exits
+class CommandSource {
+  constructor(options, callback) {
+    this.cmd = options.cmd;
+    this.args = options.args || [];
+    this.name = options.path || this.cmd;
+    this.spawnOptions = { cwd: options.cwd, env: options.env ? { ...process.env, ...options.env } : process.env };
+    this.includeStderr = Boolean(options.stderr);
+    this.restartDelay = options.restartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 60000;
+    this.callback = callback;
+    this.child = null;
+    this.running = false;
+    this.attempts = 0;
+    this.startedAt = 0;
+    this.restartTimer = null;
+  }
+
+  start() {
+    this.running = true;
+    this.startedAt = Date.now();
+
+    const child = spawn(this.cmd, this.args, { ...this.spawnOptions, stdio: ['ignore', 'pipe', 'pipe'] });
+    this.child = child;
+
+    this.pipe(child.stdout, line => this.callback(line));
+    this.pipe(child.stderr, line => {
+      if (this.includeStderr) {
+        this.callback(line);
+      } else {
+        console.warn(`⚠️  ${this.name}: ${line}`);
+      }
+    });
+
+    // 'error' covers a command that can't be started at all (ENOENT, EACCES)
+    let exited = false;
+    const onExit = (reason) => {
+      if (exited) return;
+      exited = true;
+      this.child = null;
+      if (this.running) this.scheduleRestart(reason);
+    };
+    child.on('error', error => onExit(error.message));
+    child.on('close', (code, signal) => onExit(signal ? `killed by ${signal}` : `exited with code ${code}`));
+  }
+
+  pipe(stream, onLine) {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+
+    stream.on('data', chunk => {
+      pending += decoder.write(chunk);
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.filter(line => line.trim()).forEach(onLine);
+    });
+    stream.on('end', () => {
+      pending += decoder.end();
+      if (pending.trim()) onLine(pending);
+      pending = '';
+    });
+  }
+
+  scheduleRestart(reason) {
+    // A process that stayed up for a while starts the backoff over
+    if (Date.now() - this.startedAt > this.maxRestartDelay) this.attempts = 0;
+
+    const delay = Math.min(this.maxRestartDelay, this.restartDelay * Math.pow(2, this.attempts));
+    this.attempts++;
+
+    console.warn(`⚠️  ${this.name} ${reason} - restarting in ${Math.round(delay / 1000)}s`);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.running) this.start();
+    }, delay);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.restartTimer) clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.child) this.child.kill('SIGTERM');
+  }
+}
+
+// Tailing offsets persisted across restarts (path + inode + offset + line count per file)
+class CheckpointStore {
+  constructor(stateDir) {
+    this.filePath = path.join(stateDir, 'checkpoints.json');
+    this.entries = {};
+  }
+
+  load() {
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Ignoring unreadable checkpoint file ${this.filePath}:`, error.message);
+      }
+      this.entries = {};
+    }
+  }
+
+  get(filePath) {
+    return this.entries[filePath] || null;
+  }
+
+  set(filePath, inode, offset, line) {
+    this.entries[filePath] = { inode, offset, line, updatedAt: new Date().toISOString() };
+  }
+
+  delete(filePath) {
+    delete this.entries[filePath];
+  }
+
+  flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written checkpoint
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.warn(`⚠️  Cannot save checkpoints to ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+// Disk-backed outbound queue - events survive reconnects and restarts until acked
+class OutboundSpool {
+  constructor(stateDir, options = {}) {
+    this.logPath = path.join(stateDir, 'outbox.ndjson');
+    this.metaPath = path.join(stateDir, 'outbox.json');
+    this.maxMessages = options.maxMessages || 10000;
+    this.pending = [];
+    this.stream = null;
+    this.nextSeq = 1;
+    this.ackedSeq = 0;
+    this.linesOnDisk = 0;
+    this.metaTimer = null;
+  }
+
+  load() {
+    try {
+      const meta = JSON.parse(fs.readFileSync(this.metaPath, 'utf8'));
+      this.stream = meta.stream;
+      this.nextSeq = meta.nextSeq || 1;
+      this.ackedSeq = meta.ackedSeq || 0;
+    } catch (error) {
+      // First run (or unreadable meta) - start a fresh stream
+    }
+
+    // Sequence numbers are only unique within a stream, so the server can tell
+    // a wiped state dir apart from a replay
+    if (!this.stream) this.stream = crypto.randomBytes(8).toString('hex');
+
+    try {
+      const lines = fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean);
+      this.linesOnDisk = lines.length;
+      this.pending = lines
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null; // Torn write from a crash
+          }
+        })
+        .filter(entry => entry && entry.seq > this.ackedSeq)
+        .slice(-this.maxMessages);
+    } catch (error) {
+      this.pending = [];
+    }
+
+    if (this.pending.length > 0) {
+      this.nextSeq = Math.max(this.nextSeq, this.pending[this.pending.length - 1].seq + 1);
+      console.log(`📦 ${this.pending.length} unacknowledged messages waiting in spool`);
+    }
+
+    this.compact();
+  }
+
+  enqueue(message) {
+    if (!this.stream) this.load();
+
+    const entry = { ...message, stream: this.stream, seq: this.nextSeq++ };
+    this.pending.push(entry);
+
+    if (this.pending.length > this.maxMessages) {
+      const dropped = this.pending.shift();
+      console.warn(`⚠️  Spool full, dropping message ${dropped.seq}`);
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+      this.linesOnDisk++;
+    } catch (error) {
+      console.warn(`⚠️  Cannot write spool ${this.logPath}:`, error.message);
+    }
+
+    // No acks during an outage - dropped messages must leave the file too
+    if (this.linesOnDisk > this.maxMessages * 2) this.compact();
+
+    this.scheduleMetaSave();
+    return entry;
+  }
+
+  ack(seq) {
+    if (seq <= this.ackedSeq) return;
+
+    this.ackedSeq = seq;
+    // Acks are cumulative - the server handles messages in order
+    while (this.pending.length > 0 && this.pending[0].seq <= seq) {
+      this.pending.shift();
+    }
+
+    // Rewrite the spool once it's mostly acknowledged lines
+    if (this.linesOnDisk > 1000 && this.linesOnDisk > this.pending.length * 2) {
+      this.compact();
+    } else {
+      this.scheduleMetaSave();
+    }
+  }
+
+  scheduleMetaSave() {
+    if (this.metaTimer) return;
+    this.metaTimer = setTimeout(() => this.saveMeta(), 1000);
+  }
+
+  saveMeta() {
+    if (this.metaTimer) clearTimeout(this.metaTimer);
+    this.metaTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.metaPath), { recursive: true });
+      const tmpPath = `${this.metaPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        stream: this.stream,
+        nextSeq: this.nextSeq,
+        ackedSeq: this.ackedSeq
+      }));
+      fs.renameSync(tmpPath, this.metaPath);
+    } catch (error) {
+      console.warn(`⚠️  Cannot save spool state ${this.metaPath}:`, error.message);
+    }
+  }
+
+  compact() {
+    // Meta first: if we crash in between, acked lines are only skipped, never lost
+    this.saveMeta();
+
+    try {
+      const tmpPath = `${this.logPath}.tmp`;
+      fs.writeFileSync(tmpPath, this.pending.map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(tmpPath, this.logPath);
+      this.linesOnDisk = this.pending.length;
+    } catch (error) {
+      console.warn(`⚠️  Cannot compact spool ${this.logPath}:`, error.message);
+    }
   }
 }
 
@@ -332,9 +1359,21 @@ class LogScopeAgent {
   constructor(config = {}) {
     this.config = this.mergeDefaults(config);
     this.parser = new SmartLogParser();
-    this.tailers = [];
+    Object.entries(this.config.parsers || {}).forEach(([name, definition]) => this.parser.registerParser(name, definition));
+    this.config.logFiles = this.config.logFiles.map(logFile => this.normalizeSource(logFile));
+    this.tailers = new Map();
+    this.sources = new Map(); // name -> CommandSource for command/journald inputs
+    this.contexts = new Map(); // file or source path -> ContextBuffer
+    this.policies = new Map(); // logFile path or pattern -> ShippingPolicy
+    this.rotatedInodes = new Set();
+    this.checkpoints = new CheckpointStore(this.config.stateDir);
+    this.spool = new OutboundSpool(this.config.stateDir, { maxMessages: this.config.maxSpoolMessages });
+    this.rescanTimer = null;
+    this.checkpointTimer = null;
+    this.statsTimer = null;
     this.ws = null;
     this.stats = { errors: 0, warnings: 0, success: 0, totalLines: 0 };
+    this.counts = new Map(); // logFile path -> lines per level since the last stats report
     this.running = false;
     this.reconnectAttempts = 0;
   }
@@ -344,14 +1383,52 @@ class LogScopeAgent {
       serverId: config.serverId || os.hostname(),
       serverName: config.serverName || os.hostname(),
       centralServerUrl: config.centralServerUrl || process.env.LOGSCOPE_SERVER || 'ws://localhost:8080',
+      token: config.token || process.env.LOGSV_TOKEN || null,
       logFiles: config.logFiles || this.discoverLogFiles(),
       statsInterval: config.statsInterval || 10,
+      statsPeriod: config.statsPeriod || 30000,
+      rescanInterval: config.rescanInterval || 10000,
+      stateDir: config.stateDir || process.env.LOGSV_STATE_DIR || path.join(os.homedir(), '.logsv'),
+      startFrom: config.startFrom || 'end',
+      checkpointInterval: config.checkpointInterval || 5000,
+      maxSpoolMessages: config.maxSpoolMessages || 10000,
+      ship: config.ship || {},
+      context: { before: 3, after: 3 },
       reconnectDelay: config.reconnectDelay || 5000,
       maxReconnectAttempts: config.maxReconnectAttempts || -1,
       ...config
     };
   }
 
+  // command and journald entries in logFiles are read from a process instead of a file;
+  // `path` becomes their name and `type` the parser for their output
+  normalizeSource(logFile) {
+    if (logFile.type === 'command') {
+      if (!logFile.cmd) throw new Error(`Command source needs a cmd: ${JSON.stringify(logFile)}`);
+      return {
+        ...logFile,
+        source: 'command',
+        path: logFile.path || `command:${[logFile.cmd, ...(logFile.args || [])].join(' ')}`,
+        type: logFile.format || 'auto'
+      };
+    }
+
+    if (logFile.type === 'journald') {
+      const units = logFile.units || [];
+      return {
+        ...logFile,
+        source: 'journald',
+        path: logFile.path || `journald${units.length > 0 ? ':' + units.join(',') : ''}`,
+        type: 'journald',
+        cmd: logFile.cmd || 'journalctl',
+        // -n 0: only entries written from now on, like startFrom: 'end' for files
+        args: ['-f', '-o', 'json', '-n', '0', ...units.reduce((args, unit) => args.concat('-u', unit), []), ...(logFile.args || [])]
+      };
+    }
+
+    return logFile;
+  }
+
   // Smart log file discovery
   discoverLogFiles() {
     const commonPaths = [
@@ -373,6 +1450,7 @@ class LogScopeAgent {
   detectLogType(filePath) {
     const fileName = path.basename(filePath).toLowerCase();
     
+    if (fileName.includes('access')) return 'access';
     if (fileName.includes('nginx')) return 'nginx';
     if (fileName.includes('apache')) return 'apache';
     if (fileName.includes('syslog') || fileName.includes('messages')) return 'syslog';
@@ -387,6 +1465,7 @@ class LogScopeAgent {
     console.log(`🏷️  Name: ${this.config.serverName}`);
     
     this.running = true;
+    this.spool.load();
     
     // Connect to server
     await this.connect();
@@ -394,21 +1473,24 @@ class LogScopeAgent {
     // Start monitoring log files
     this.startMonitoring();
     
-    console.log(`✅ LogSV Agent running! Monitoring ${this.config.logFiles.length} log files`);
+    console.log(`✅ LogSV Agent running! Monitoring ${this.tailers.size} log files`);
   }
 
   async connect() {
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(this.config.centralServerUrl);
+        this.ws = new WebSocket(this.config.centralServerUrl, this.connectionOptions());
         
         this.ws.on('open', () => {
           console.log(`🔌 Connected to LogSV server`);
           this.reconnectAttempts = 0;
           this.register();
+          this.replaySpool();
           resolve();
         });
 
+        this.ws.on('message', (message) => this.handleServerMessage(message));
+
         this.ws.on('close', () => {
           console.log(`🔌 Connection lost`);
           if (this.running) this.scheduleReconnect();
@@ -425,6 +1507,28 @@ class LogScopeAgent {
     });
   }
 
+  connectionOptions() {
+    const options = {};
+
+    // Enrollment token is checked by the server during the upgrade
+    if (this.config.token) {
+      options.headers = { Authorization: `Bearer ${this.config.token}` };
+    }
+
+    // wss:// - pin the server CA and/or present a client certificate (mutual TLS)
+    const tls = this.config.tls;
+    if (tls) {
+      if (tls.ca) options.ca = fs.readFileSync(tls.ca);
+      if (tls.cert) options.cert = fs.readFileSync(tls.cert);
+      if (tls.key) options.key = fs.readFileSync(tls.key);
+      if (tls.passphrase) options.passphrase = tls.passphrase;
+      if (tls.servername) options.servername = tls.servername;
+      options.rejectUnauthorized = tls.rejectUnauthorized !== false;
+    }
+
+    return options;
+  }
+
   scheduleReconnect() {
     if (this.config.maxReconnectAttempts > 0 && this.reconnectAttempts >= this.config.maxReconnectAttempts) {
       console.error(`❌ Max reconnection attempts reached`);
@@ -452,6 +1556,11 @@ class LogScopeAgent {
         serverId: this.config.serverId,
         serverName: this.config.serverName,
         logFiles: this.config.logFiles.map(f => f.path),
+        // Lets the server tell "nothing happened" from "nothing was shipped"
+        shipping: this.config.logFiles.reduce((policies, f) => {
+          policies[f.path] = this.policyFor(f).describe();
+          return policies;
+        }, {}),
         timestamp: new Date().toISOString(),
         version: '2.0.0-ultra',
         platform: {
@@ -466,40 +1575,213 @@ class LogScopeAgent {
   }
 
   startMonitoring() {
+    this.checkpoints.load();
+
     this.config.logFiles.forEach(logFile => {
-      if (!fs.existsSync(logFile.path)) {
+      // Bad parser or shipping settings should fail now, not on every line
+      this.parser.parserFor(logFile);
+      this.policyFor(logFile);
+
+      if (logFile.source) {
+        this.startSource(logFile);
+        return;
+      }
+
+      const files = this.resolveLogFiles(logFile);
+
+      if (files.length === 0) {
         console.warn(`⚠️  Log file not found: ${logFile.path}`);
         return;
       }
 
-      const tailer = new FileTailer(logFile.path, (line) => {
-        this.processLogLine(line, logFile);
+      files.forEach(filePath => this.startTailer(filePath, logFile, false));
+    });
+
+    // Rescan so files created (or removed) later are picked up
+    this.rescanTimer = setInterval(() => this.rescanLogFiles(), this.config.rescanInterval);
+    this.checkpointTimer = setInterval(() => this.saveCheckpoints(), this.config.checkpointInterval);
+    // Quiet servers still report, so their charts show zero rather than a gap
+    this.statsTimer = setInterval(() => this.sendStats(), this.config.statsPeriod);
+  }
+
+  saveCheckpoints() {
+    this.tailers.forEach((tailer, filePath) => {
+      if (tailer.inode === null) return;
+
+      // An unfinished last line, and an event not yet handed to the spool, are read again after a restart
+      let offset = tailer.lineOffset;
+      let line = tailer.lineNumber;
+      const context = this.contexts.get(filePath);
+      [tailer.assembler, context].forEach(buffer => {
+        const held = buffer && buffer.oldestHeld();
+        if (held && held.offset !== undefined && held.offset < offset) {
+          offset = held.offset;
+          line = held.lineNumber - 1;
+        }
       });
 
-      tailer.start();
-      this.tailers.push(tailer);
-      
-      console.log(`👁️  Monitoring: ${logFile.path} (${logFile.type})`);
+      this.checkpoints.set(filePath, tailer.inode, offset, line);
     });
+    this.checkpoints.flush();
   }
 
-  processLogLine(line, logFile) {
+  resolveLogFiles(logFile) {
+    if (isGlob(logFile.path)) return expandGlob(logFile.path);
+    return isFile(logFile.path) ? [path.resolve(logFile.path)] : [];
+  }
+
+  rescanLogFiles() {
+    const found = new Set();
+
+    this.config.logFiles.filter(logFile => !logFile.source).forEach(logFile => {
+      this.resolveLogFiles(logFile).forEach(filePath => {
+        found.add(filePath);
+        // Unless it's a rotated file we already tailed under another name
+        if (!this.tailers.has(filePath)) this.startTailer(filePath, logFile, !this.wasTailed(filePath));
+      });
+    });
+
+    for (const [filePath, tailer] of this.tailers.entries()) {
+      if (!found.has(filePath)) {
+        tailer.readNewLines();
+        tailer.flushPartial();
+        tailer.stop();
+        if (tailer.assembler) tailer.assembler.flush();
+        this.flushContext(filePath);
+        this.tailers.delete(filePath);
+        this.checkpoints.delete(filePath);
+        console.log(`🗑️  Stopped monitoring: ${filePath} (file removed)`);
+      }
+    }
+  }
+
+  wasTailed(filePath) {
     try {
-      this.stats.totalLines++;
+      const inode = fs.statSync(filePath).ino;
+      if (this.rotatedInodes.has(inode)) return true;
+      return Array.from(this.tailers.values()).some(tailer => tailer.inode === inode);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Lines from one file or process, through the multiline assembler when configured.
+  // Processes have no file positions, so their lines are simply counted.
+  lineHandler(logFile) {
+    const assembler = logFile.multiline
+      ? new MultilineAssembler(logFile.multiline, ([headline, ...stack], position) => this.processLogLine(headline, logFile, stack, position))
+      : null;
+    const context = this.contextFor(logFile, assembler);
+    let count = 0;
+
+    const handle = (line, position = { lineNumber: ++count }) => {
+      if (assembler) {
+        assembler.push(line, position);
+      } else {
+        this.processLogLine(line, logFile, [], position);
+      }
+      if (context) context.record(line, position.lineNumber);
+    };
+
+    return { handle, assembler };
+  }
+
+  // `context: { before, after }` per log file, defaulting to the agent-wide setting
+  contextFor(logFile, assembler) {
+    if (logFile.context === false || this.config.context === false) return null;
+
+    const options = { ...this.config.context, ...logFile.context, maxEventLines: assembler ? assembler.maxLines : 1 };
+    if (!options.before && !options.after) return null;
+
+    const context = new ContextBuffer(options, data => this.enqueue({ type: 'error', data }));
+    this.contexts.set(logFile.path, context);
+    return context;
+  }
+
+  flushContext(filePath) {
+    const context = this.contexts.get(filePath);
+    if (!context) return;
+
+    context.flush();
+    this.contexts.delete(filePath);
+  }
+
+  startSource(logFile) {
+    const { handle, assembler } = this.lineHandler(logFile);
+    const source = new CommandSource(logFile, handle);
+
+    source.assembler = assembler;
+    source.start();
+    this.sources.set(logFile.path, source);
+
+    console.log(`👁️  Monitoring: ${logFile.path} (${logFile.source})`);
+  }
+
+  startTailer(filePath, logFile, fromStart) {
+    // Each matched file gets its own logFile entry, keeping the pattern it came from
+    const fileConfig = { ...logFile, path: filePath, pattern: logFile.path };
+    const { handle, assembler } = this.lineHandler(fileConfig);
+
+    const tailer = new FileTailer(filePath, handle, {
+      // Files discovered later are read in full - everything in them is new
+      startFrom: fromStart ? 'beginning' : (logFile.startFrom || this.config.startFrom),
+      checkpoint: this.checkpoints.get(filePath),
+      onRotate: (rotation) => this.handleRotation(rotation, fileConfig)
+    });
+
+    tailer.assembler = assembler;
+    tailer.start();
+    this.tailers.set(filePath, tailer);
+
+    console.log(`👁️  Monitoring: ${filePath} (${logFile.type})`);
+  }
+
+  handleRotation(rotation, logFile) {
+    if (rotation.previousInode) this.rotatedInodes.add(rotation.previousInode);
+
+    // Line numbers start over, so lines from the new file can't be context for the old one,
+    // and nothing held may point into the old file once checkpoints follow the new one
+    const tailer = this.tailers.get(logFile.path);
+    if (tailer && tailer.assembler) tailer.assembler.flush();
+    const context = this.contexts.get(logFile.path);
+    if (context) context.flush();
+
+    this.enqueue({
+      type: 'rotation',
+      data: {
+        serverId: this.config.serverId,
+        serverName: this.config.serverName,
+        logFile: logFile.path,
+        reason: rotation.reason,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  processLogLine(line, logFile, stackLines = [], position = {}) {
+    try {
+      this.stats.totalLines += 1 + stackLines.length;
       
       // Parse the log line
-      const parsed = this.parser.parse(line, logFile);
+      const parsed = this.parser.parse(line, logFile, stackLines);
       
-      // Update stats
+      // Update stats - every line counts, whether it's shipped or not
       if (parsed.level === 'ERROR') {
         this.stats.errors++;
-        this.sendError(parsed, logFile);
       } else if (parsed.level === 'WARN') {
         this.stats.warnings++;
       } else {
         this.stats.success++;
       }
       
+      const level = parsed.level || 'INFO';
+      const counts = this.counts.get(logFile.path) || {};
+      counts[level] = (counts[level] || 0) + 1;
+      this.counts.set(logFile.path, counts);
+      
+      const sampleRate = this.policyFor(logFile).decide(parsed);
+      if (sampleRate > 0) this.sendError(parsed, logFile, sampleRate, position);
+      
       // Send periodic stats
       if (this.stats.totalLines % this.config.statsInterval === 0) {
         this.sendStats();
@@ -510,67 +1792,116 @@ class LogScopeAgent {
     }
   }
 
-  sendError(parsed, logFile) {
-    // Only send high-urgency errors to reduce noise
-    if (parsed.urgency < 5) return;
-    
-    const errorData = {
-      type: 'error',
-      data: {
-        serverId: this.config.serverId,
-        serverName: this.config.serverName,
-        logFile: logFile.path,
-        lineNumber: this.getApproxLineNumber(logFile.path),
-        timestamp: parsed.timestamp,
-        errorMessage: parsed.message,
-        parser: parsed.parser,
-        urgency: parsed.urgency,
-        semantics: parsed.semantics
-      }
-    };
-
-    this.send(errorData);
+  // Files matched by one glob share its policy; agent-wide `ship` settings are the defaults
+  policyFor(logFile) {
+    const key = logFile.pattern || logFile.path;
+    if (!this.policies.has(key)) {
+      this.policies.set(key, new ShippingPolicy({ ...this.config.ship, ...logFile.ship }));
+    }
+    return this.policies.get(key);
   }
 
-  getApproxLineNumber(filePath) {
-    try {
-      const stats = fs.statSync(filePath);
-      // Rough estimate: 1 line = ~100 bytes average
-      return Math.floor(stats.size / 100);
-    } catch (error) {
-      return 0;
+  sendError(parsed, logFile, sampleRate = 1, position = {}) {
+    const data = {
+      serverId: this.config.serverId,
+      serverName: this.config.serverName,
+      logFile: logFile.path,
+      lineNumber: position.lineNumber,
+      offset: position.offset,
+      timestamp: parsed.timestamp,
+      errorMessage: parsed.message,
+      level: parsed.level,
+      sampleRate,
+      parser: parsed.parser,
+      metadata: parsed.metadata,
+      request: parsed.request,
+      urgency: parsed.urgency,
+      semantics: parsed.semantics,
+      stack: parsed.stack
+    };
+
+    // Held back until the lines after it have been read
+    const context = this.contexts.get(logFile.path);
+    if (context && position.lineNumber) {
+      context.hold(data, position.lineNumber, position.lastLine);
+    } else {
+      this.enqueue({ type: 'error', data });
     }
   }
 
   sendStats() {
-    this.send({
+    const sent = this.send({
       type: 'stats',
       data: {
         serverId: this.config.serverId,
         stats: { ...this.stats },
+        counts: Object.fromEntries(this.counts),
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
       }
     });
+
+    // Counts carry over until a report gets through, so the server's charts don't lose them
+    if (sent) this.counts.clear();
+  }
+
+  handleServerMessage(message) {
+    try {
+      const data = JSON.parse(message);
+      if (data.type === 'ack') this.spool.ack(data.seq);
+    } catch (error) {
+      console.error(`❌ Error parsing server message:`, error.message);
+    }
+  }
+
+  // Events go through the spool and are resent until the server acknowledges them
+  enqueue(data) {
+    this.send(this.spool.enqueue(data));
+  }
+
+  replaySpool() {
+    if (this.spool.pending.length === 0) return;
+
+    console.log(`📦 Replaying ${this.spool.pending.length} unacknowledged messages`);
+    this.spool.pending.forEach(entry => this.send(entry));
   }
 
+  // True when the message was handed to the socket
   send(data) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       try {
         this.ws.send(JSON.stringify(data));
+        return true;
       } catch (error) {
         console.error(`❌ Error sending data:`, error.message);
       }
     }
+    return false;
   }
 
   stop() {
     console.log(`🛑 Stopping LogSV Agent...`);
     this.running = false;
     
-    // Stop file tailers
-    this.tailers.forEach(tailer => tailer.stop());
+    // Stop file tailers and remember where they were
+    if (this.rescanTimer) clearInterval(this.rescanTimer);
+    if (this.checkpointTimer) clearInterval(this.checkpointTimer);
+    if (this.statsTimer) clearInterval(this.statsTimer);
+    this.tailers.forEach(tailer => {
+      tailer.stop();
+      if (tailer.assembler) tailer.assembler.flush();
+    });
+    this.sources.forEach(source => {
+      source.stop();
+      if (source.assembler) source.assembler.flush();
+    });
+    this.contexts.forEach(context => context.flush());
+    this.contexts.clear();
+    this.sources.clear();
+    this.saveCheckpoints();
+    this.spool.saveMeta();
+    this.tailers.clear();
     
     // Close WebSocket
     if (this.ws) this.ws.close();
@@ -596,6 +1927,9 @@ function createAgent() {
       case 'name':
         config.serverName = value;
         break;
+      case 'token':
+        config.token = value;
+        break;
       case 'logs':
         config.logFiles = value.split(',').map(path => ({
           path: path.trim(),
@@ -630,4 +1964,16 @@ if (require.main === module) {
   process.on('SIGINT', () => agent.stop());
 }
 
-module.exports = { LogScopeAgent, SmartLogParser, FileTailer };
+module.exports = {
+  LogScopeAgent,
+  SmartLogParser,
+  FileTailer,
+  CommandSource,
+  CheckpointStore,
+  OutboundSpool,
+  MultilineAssembler,
+  ContextBuffer,
+  ShippingPolicy,
+  expandGlob,
+  globToRegExp
+};
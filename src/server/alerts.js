@@ -0,0 +1,582 @@
+// src/server/alerts.js - Rule-based alerting driven by config.alerts
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const RULE_TYPES = ['count', 'new-fingerprint', 'server-offline', 'insight'];
+const MINUTE = 60 * 1000;
+
+// "web-*" style matching for rule scopes; arrays mean any of
+function matchesScope(scope = {}, subject) {
+  return Object.entries(scope).every(([field, expected]) => {
+    const value = String(subject[field] === undefined ? '' : subject[field]);
+    const patterns = Array.isArray(expected) ? expected : [expected];
+
+    return patterns.some(pattern => {
+      const source = String(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${source}$`, 'i').test(value);
+    });
+  });
+}
+
+// Minimal SMTP client - enough for plain, STARTTLS and implicit TLS relays
+class SmtpClient {
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = '';
+    this.waiting = null;
+    this.closed = false;
+  }
+
+  async send({ from, to, subject, text }) {
+    const recipients = Array.isArray(to) ? to : [to];
+
+    await this.connect();
+    try {
+      await this.expect(220);
+      let features = await this.command(`EHLO ${os.hostname()}`, 250);
+
+      if (!this.options.secure && this.options.starttls !== false && /STARTTLS/i.test(features)) {
+        await this.command('STARTTLS', 220);
+        await this.upgrade();
+        features = await this.command(`EHLO ${os.hostname()}`, 250);
+      }
+
+      if (this.options.auth) await this.authenticate(features);
+
+      await this.command(`MAIL FROM:<${from}>`, 250);
+      for (const recipient of recipients) {
+        await this.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await this.command('DATA', 354);
+
+      const message = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        // Dot-stuffing: a line starting with "." must be doubled
+        ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+      ].join('\r\n');
+
+      await this.command(`${message}\r\n.`, 250);
+      await this.command('QUIT', 221).catch(() => {});
+    } finally {
+      this.socket.end();
+    }
+  }
+
+  async authenticate(features) {
+    const { user, pass } = this.options.auth;
+
+    if (/AUTH[ =][^\r\n]*PLAIN/i.test(features)) {
+      const token = Buffer.from(`\0${user}\0${pass}`).toString('base64');
+      await this.command(`AUTH PLAIN ${token}`, 235);
+    } else {
+      await this.command('AUTH LOGIN', 334);
+      await this.command(Buffer.from(user).toString('base64'), 334);
+      await this.command(Buffer.from(pass).toString('base64'), 235);
+    }
+  }
+
+  connect() {
+    const { host = 'localhost', port, secure } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        this.attach();
+        resolve();
+      };
+
+      this.socket = secure
+        ? tls.connect({ host, port: port || 465, servername: host, rejectUnauthorized: this.options.rejectUnauthorized !== false }, onConnect)
+        : net.connect({ host, port: port || 25 }, onConnect);
+
+      this.socket.once('error', reject);
+      this.socket.once('close', () => reject(new Error('SMTP connection closed')));
+      this.watch(this.socket);
+    });
+  }
+
+  // A relay that stops answering fails the delivery instead of holding it forever
+  watch(socket) {
+    socket.setTimeout(this.options.timeout || 15000, () => socket.destroy(new Error('SMTP timeout')));
+  }
+
+  upgrade() {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.setTimeout(0);
+
+      this.socket = tls.connect({
+        socket: plain,
+        servername: this.options.host,
+        rejectUnauthorized: this.options.rejectUnauthorized !== false
+      }, () => {
+        this.attach();
+        resolve();
+      });
+      this.socket.once('error', reject);
+      this.socket.once('close', () => reject(new Error('SMTP connection closed')));
+      this.watch(this.socket);
+    });
+  }
+
+  attach() {
+    this.socket.on('data', chunk => {
+      this.buffer += chunk.toString('utf8');
+      this.deliver();
+    });
+    this.socket.on('error', error => this.fail(error));
+    // Hanging up without an error must fail the pending reply too
+    ['end', 'close'].forEach(event => this.socket.on(event, () => {
+      this.closed = true;
+      this.fail(new Error('SMTP connection closed'));
+    }));
+  }
+
+  fail(error) {
+    if (this.waiting) this.waiting.reject(error);
+    this.waiting = null;
+  }
+
+  // A reply is complete once we see "NNN " (multi-line replies use "NNN-")
+  deliver() {
+    if (!this.waiting) return;
+
+    const match = this.buffer.match(/(^|\r\n)(\d{3}) [^\r\n]*\r\n/);
+    if (!match) return;
+
+    const end = match.index + match[0].length;
+    const reply = this.buffer.slice(0, end);
+    this.buffer = this.buffer.slice(end);
+
+    const { resolve, reject, codes } = this.waiting;
+    this.waiting = null;
+
+    const code = parseInt(match[2], 10);
+    if (codes.includes(code)) {
+      resolve(reply);
+    } else {
+      reject(new Error(`SMTP error: ${reply.trim()}`));
+    }
+  }
+
+  expect(codes) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject, codes: Array.isArray(codes) ? codes : [codes] };
+      this.deliver();
+      if (this.closed) this.fail(new Error('SMTP connection closed'));
+    });
+  }
+
+  command(line, codes) {
+    const reply = this.expect(codes);
+    this.socket.write(`${line}\r\n`);
+    return reply;
+  }
+}
+
+function postJSON(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      },
+      timeout: 10000
+    }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(new Error(`${target.host} responded ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`${target.host} timed out`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// Delivery channels - each gets a batch of notifications and sends one message
+const CHANNELS = {
+  webhook: (channel, notifications, text) => postJSON(channel.url, {
+    source: 'logsv',
+    text,
+    alerts: notifications
+  }, channel.headers),
+
+  slack: (channel, notifications, text) => postJSON(channel.url, {
+    text,
+    ...(channel.channel ? { channel: channel.channel } : {}),
+    ...(channel.username ? { username: channel.username } : {})
+  }),
+
+  smtp: (channel, notifications, text) => {
+    const firing = notifications.filter(n => n.status === 'firing').length;
+    const subject = firing > 0
+      ? `[LogSV] ${firing} alert${firing === 1 ? '' : 's'} firing`
+      : `[LogSV] ${notifications.length} alert${notifications.length === 1 ? '' : 's'} resolved`;
+
+    return new SmtpClient(channel).send({
+      from: channel.from || `logsv@${os.hostname()}`,
+      to: channel.to,
+      subject,
+      text
+    });
+  }
+};
+
+class AlertEngine {
+  constructor(config = {}, options = {}) {
+    this.disabledChannels = new Set();
+    this.channels = this.normalizeChannels(config);
+    this.rules = this.normalizeRules(config);
+    this.groupWait = (config.groupWaitSeconds !== undefined ? config.groupWaitSeconds : 10) * 1000;
+    this.evaluateInterval = options.evaluateInterval || 30 * 1000;
+    this.states = new Map(); // `${rule}|${key}` -> state
+    this.windows = new Map(); // `${rule}|${key}` -> minute start -> event count, for count rules
+    this.offline = new Map(); // serverId -> { server, since }
+    this.pending = new Map(); // channel name -> queued notifications
+    this.flushTimers = new Map();
+    this.timer = null;
+    this.deliveries = []; // Promises of in-flight deliveries (handy for tests and shutdown)
+  }
+
+  normalizeChannels(config) {
+    const channels = { ...(config.channels || {}) };
+
+    // Shorthand from the original example config: { email, slack, threshold }
+    if (config.slack && !channels.slack) channels.slack = { type: 'slack', url: config.slack };
+    if (config.email && !channels.email) {
+      if (config.smtp) {
+        channels.email = { type: 'smtp', ...config.smtp, to: config.email };
+      } else {
+        console.warn('⚠️  alerts.email is set but alerts.smtp (host, port, ...) is missing - email alerts disabled');
+      }
+    }
+
+    Object.entries(channels).forEach(([name, channel]) => {
+      if (!CHANNELS[channel.type]) throw new Error(`Alert channel "${name}" has unknown type "${channel.type}"`);
+
+      // Usually an unset environment variable - warn rather than refuse to start
+      const missing = channel.type === 'smtp' ? !channel.host || !channel.to : !channel.url;
+      if (missing) {
+        console.warn(`⚠️  Alert channel "${name}" is missing its ${channel.type === 'smtp' ? 'host or to' : 'url'} - disabled`);
+        this.disabledChannels.add(name);
+        delete channels[name];
+      }
+    });
+
+    return channels;
+  }
+
+  normalizeRules(config) {
+    const rules = (config.rules || []).slice();
+
+    if (rules.length === 0 && config.threshold && Object.keys(this.channels).length > 0) {
+      rules.push({ name: 'error-threshold', type: 'count', threshold: config.threshold, windowMinutes: 5 });
+    }
+
+    return rules.map((rule, index) => {
+      if (!RULE_TYPES.includes(rule.type)) {
+        throw new Error(`Alert rule "${rule.name || index}" has unknown type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`);
+      }
+
+      const channels = (rule.channels || Object.keys(this.channels)).filter(name => {
+        if (this.disabledChannels.has(name)) return false;
+        if (!this.channels[name]) throw new Error(`Alert rule "${rule.name || index}" uses unknown channel "${name}"`);
+        return true;
+      });
+
+      return {
+        name: rule.name || `${rule.type}-${index + 1}`,
+        scope: {},
+        cooldownMinutes: 15,
+        windowMinutes: 5,
+        threshold: 10,
+        afterMinutes: 0,
+        minConfidence: 0,
+        ...rule,
+        channels
+      };
+    });
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  start() {
+    if (!this.enabled) return;
+    this.timer = setInterval(() => this.evaluate(), this.evaluateInterval);
+    console.log(`🔔 Alerting: ${this.rules.length} rules, ${Object.keys(this.channels).length} channels`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.flushTimers.forEach(timer => clearTimeout(timer));
+    this.flushTimers.clear();
+    this.pending.forEach((notifications, channel) => this.flush(channel));
+  }
+
+  // Every error event, deduplicated or not
+  onError(error, isNewGroup) {
+    const now = Date.now();
+
+    this.rules.forEach(rule => {
+      if (!matchesScope(rule.scope, this.subject(error))) return;
+
+      if (rule.type === 'count') {
+        const key = this.groupKey(rule, error);
+        const id = `${rule.name}|${key}`;
+        const minutes = this.windows.get(id) || new Map();
+        const minute = now - (now % MINUTE);
+        minutes.set(minute, (minutes.get(minute) || 0) + 1);
+        this.windows.set(id, minutes);
+
+        this.checkCount(rule, key, now);
+      }
+      else if (rule.type === 'new-fingerprint' && isNewGroup) {
+        this.fire(rule, error.id, {
+          summary: `New error on ${error.serverName || error.serverId}: ${error.errorMessage}`,
+          serverId: error.serverId,
+          category: error.category,
+          severity: error.severity
+        }, { resolvable: false });
+      }
+    });
+  }
+
+  onServerStatus(server) {
+    const serverId = server.serverId;
+
+    if (server.status === 'offline') {
+      if (!this.offline.has(serverId)) this.offline.set(serverId, { server, since: Date.now() });
+      this.checkOffline(Date.now());
+      return;
+    }
+
+    this.offline.delete(serverId);
+    this.rules
+      .filter(rule => rule.type === 'server-offline')
+      .forEach(rule => this.resolve(rule, serverId, `${server.serverName || serverId} is back online`));
+  }
+
+  onInsights(insights) {
+    this.rules.filter(rule => rule.type === 'insight').forEach(rule => {
+      const current = new Set();
+
+      insights
+        .filter(insight => !rule.insightTypes || rule.insightTypes.includes(insight.type))
+        .filter(insight => (insight.confidence || 0) >= rule.minConfidence)
+        .forEach(insight => {
+          const key = `${insight.type}:${insight.title}`;
+          current.add(key);
+          this.fire(rule, key, {
+            summary: `${insight.title} - ${insight.description} (${insight.confidence}% confident)`,
+            insightType: insight.type
+          });
+        });
+
+      // Insights that are no longer raised are resolved
+      this.states.forEach(state => {
+        if (state.rule === rule.name && state.firing && !current.has(state.key)) {
+          this.resolve(rule, state.key, `Insight cleared: ${state.details.summary}`);
+        }
+      });
+    });
+  }
+
+  evaluate(now = Date.now()) {
+    this.rules.filter(rule => rule.type === 'count').forEach(rule => {
+      const prefix = `${rule.name}|`;
+      Array.from(this.windows.keys())
+        .filter(id => id.startsWith(prefix))
+        .forEach(id => this.checkCount(rule, id.slice(prefix.length), now));
+    });
+
+    this.checkOffline(now);
+  }
+
+  checkCount(rule, key, now) {
+    const id = `${rule.name}|${key}`;
+    const windowStart = now - rule.windowMinutes * MINUTE;
+    const minutes = this.windows.get(id) || new Map();
+    let count = 0;
+
+    // A minute counts while any part of it is inside the window
+    minutes.forEach((value, minute) => {
+      if (minute + MINUTE > windowStart) {
+        count += value;
+      } else {
+        minutes.delete(minute);
+      }
+    });
+    if (minutes.size === 0) this.windows.delete(id);
+
+    const scopeLabel = key === '*' ? '' : ` on ${key}`;
+    if (count >= rule.threshold) {
+      this.fire(rule, key, {
+        summary: `${count} errors${scopeLabel} in the last ${rule.windowMinutes} minutes (threshold ${rule.threshold})`,
+        count
+      });
+    } else {
+      this.resolve(rule, key, `Errors${scopeLabel} back below ${rule.threshold} in ${rule.windowMinutes} minutes`);
+    }
+  }
+
+  checkOffline(now) {
+    this.rules.filter(rule => rule.type === 'server-offline').forEach(rule => {
+      this.offline.forEach(({ server, since }, serverId) => {
+        if (!matchesScope(rule.scope, this.subject(server))) return;
+        if (now - since < rule.afterMinutes * 60 * 1000) return;
+
+        this.fire(rule, serverId, {
+          summary: `${server.serverName || serverId} is offline since ${new Date(since).toISOString()}`,
+          serverId
+        });
+      });
+    });
+  }
+
+  subject(item) {
+    return {
+      server: item.serverId,
+      serverName: item.serverName,
+      category: item.category,
+      severity: item.severity,
+      logFile: item.logFile,
+      level: item.level
+    };
+  }
+
+  groupKey(rule, error) {
+    switch (rule.groupBy) {
+      case 'server': return error.serverId;
+      case 'category': return error.category;
+      case 'severity': return error.severity;
+      case 'logFile': return `${error.serverId}:${error.logFile}`;
+      default: return '*';
+    }
+  }
+
+  fire(rule, key, details, { resolvable = true } = {}) {
+    const id = `${rule.name}|${key}`;
+    const now = Date.now();
+    const state = this.states.get(id) || { rule: rule.name, key, firing: false, lastNotifiedAt: 0 };
+
+    if (state.firing) return;
+
+    state.firing = resolvable;
+    state.details = details;
+    state.firedAt = now;
+
+    // Cooldown: a condition that flaps doesn't page again until it has passed
+    state.notified = now - state.lastNotifiedAt >= rule.cooldownMinutes * 60 * 1000;
+    if (state.notified) {
+      state.lastNotifiedAt = now;
+      this.notify(rule, { status: 'firing', rule: rule.name, type: rule.type, key, ...details, at: new Date(now).toISOString() });
+    }
+
+    if (resolvable) {
+      this.states.set(id, state);
+    } else {
+      // One-shot alerts only need their cooldown remembered
+      this.states.set(id, { ...state, firing: false });
+    }
+  }
+
+  resolve(rule, key, summary) {
+    const id = `${rule.name}|${key}`;
+    const state = this.states.get(id);
+    if (!state || !state.firing) return;
+
+    state.firing = false;
+
+    // Only say "resolved" for alerts we actually told someone about
+    if (state.notified) {
+      this.notify(rule, {
+        status: 'resolved',
+        rule: rule.name,
+        type: rule.type,
+        key,
+        summary,
+        firedAt: new Date(state.firedAt).toISOString(),
+        at: new Date().toISOString()
+      });
+    }
+  }
+
+  notify(rule, notification) {
+    rule.channels.forEach(name => {
+      const queue = this.pending.get(name) || [];
+      queue.push(notification);
+      this.pending.set(name, queue);
+
+      // Notifications arriving close together go out as one message
+      if (!this.flushTimers.has(name)) {
+        this.flushTimers.set(name, setTimeout(() => this.flush(name), this.groupWait));
+      }
+    });
+  }
+
+  flush(name) {
+    clearTimeout(this.flushTimers.get(name));
+    this.flushTimers.delete(name);
+
+    const notifications = this.pending.get(name) || [];
+    this.pending.delete(name);
+    if (notifications.length === 0) return Promise.resolve();
+
+    const channel = this.channels[name];
+    const text = this.format(notifications);
+
+    const delivery = CHANNELS[channel.type](channel, notifications, text)
+      .then(() => console.log(`🔔 Sent ${notifications.length} alert notification(s) via ${name}`))
+      .catch(error => console.error(`❌ Alert delivery via ${name} failed:`, error.message))
+      .finally(() => {
+        this.deliveries = this.deliveries.filter(pending => pending !== delivery);
+      });
+
+    this.deliveries.push(delivery);
+    return delivery;
+  }
+
+  format(notifications) {
+    return notifications.map(notification => {
+      const icon = notification.status === 'firing' ? '🚨' : '✅';
+      const state = notification.status === 'firing' ? 'FIRING' : 'RESOLVED';
+      return `${icon} [LogSV] ${state} ${notification.rule}: ${notification.summary}`;
+    }).join('\n');
+  }
+
+  // Resolves once every queued and in-flight notification has been attempted
+  async drain() {
+    Array.from(this.pending.keys()).forEach(name => this.flush(name));
+    await Promise.all(this.deliveries);
+  }
+}
+
+module.exports = { AlertEngine, SmtpClient, matchesScope };
@@ -0,0 +1,123 @@
+// src/server/anomaly.js - Error spikes measured against each server's and category's own baseline
+//
+// Events are counted in fixed intervals (5 minutes by default). Every finished
+// interval updates an exponentially weighted mean and variance for its key, so a
+// busy server's normal rate and a quiet server's silence are both "normal". The
+// interval in progress is scored against that baseline as a z-score.
+
+const MINUTE = 60 * 1000;
+
+// Standard deviations above the baseline that count as a spike
+const SENSITIVITY = { low: 4, medium: 3, high: 2 };
+
+// Keeps a server that normally logs nothing from getting an infinite z-score
+const MIN_STDDEV = 1;
+
+// Intervals folded one by one after a gap; past this the old baseline has decayed anyway
+const MAX_CATCH_UP = 2000;
+
+function thresholdFor(sensitivity) {
+  if (typeof sensitivity === 'number') return sensitivity;
+  const threshold = SENSITIVITY[String(sensitivity).toLowerCase()];
+  if (!threshold) throw new Error(`Unknown anomaly sensitivity "${sensitivity}" (use low, medium, high or a z-score)`);
+  return threshold;
+}
+
+class AnomalyDetector {
+  constructor(config = {}) {
+    this.interval = (config.intervalMinutes || 5) * MINUTE;
+    this.baselineHours = config.baselineHours || 24;
+    // An EWMA with span N weighs roughly the last N intervals
+    const span = (this.baselineHours * 60 * MINUTE) / this.interval;
+    this.alpha = 2 / (span + 1);
+    this.threshold = thresholdFor(config.sensitivity === undefined ? 'medium' : config.sensitivity);
+    this.minSamples = config.minSamples === undefined ? 12 : config.minSamples;
+    this.minCount = config.minCount === undefined ? 5 : config.minCount;
+    this.keys = new Map(); // "server\nweb-1" or "category\nDatabase Connectivity" -> state
+  }
+
+  bucketOf(time) {
+    return time - (time % this.interval);
+  }
+
+  state(dimension, value, bucket) {
+    const key = `${dimension}\n${value}`;
+    if (!this.keys.has(key)) {
+      // History starts at the first event - nothing is known about the time before it
+      this.keys.set(key, {
+        dimension,
+        value,
+        bucket,
+        count: 0,
+        mean: 0,
+        variance: 0,
+        samples: 0
+      });
+    }
+    return this.keys.get(key);
+  }
+
+  // Close the intervals that have ended; each one (empty ones too) updates the baseline
+  roll(state, bucket) {
+    let steps = 0;
+    while (state.bucket < bucket && steps++ < MAX_CATCH_UP) {
+      // A plain running average until there are enough samples, so the baseline doesn't start at zero
+      const alpha = Math.max(this.alpha, 1 / (state.samples + 1));
+      const diff = state.count - state.mean;
+      const increment = alpha * diff;
+      state.mean += increment;
+      state.variance = (1 - alpha) * (state.variance + diff * increment);
+      state.samples++;
+      state.count = 0;
+      state.bucket += this.interval;
+    }
+    state.bucket = Math.max(state.bucket, bucket);
+  }
+
+  // One or more events for a server and category
+  observe({ server, category }, count = 1, time = Date.now()) {
+    const bucket = this.bucketOf(time);
+    [['server', server], ['category', category]].forEach(([dimension, value]) => {
+      if (!value) return;
+      const state = this.state(dimension, value, bucket);
+      this.roll(state, bucket);
+      state.count += count;
+    });
+  }
+
+  // Keys whose current interval is far enough above their baseline, biggest deviation first
+  detect(now = Date.now()) {
+    const bucket = this.bucketOf(now);
+    const anomalies = [];
+
+    this.keys.forEach(state => {
+      this.roll(state, bucket);
+      if (state.samples < this.minSamples || state.count < this.minCount) return;
+
+      const stddev = Math.max(Math.sqrt(state.variance), MIN_STDDEV);
+      const score = (state.count - state.mean) / stddev;
+      if (score < this.threshold) return;
+
+      anomalies.push({
+        dimension: state.dimension,
+        value: state.value,
+        observed: state.count,
+        baseline: { mean: state.mean, stddev, samples: state.samples },
+        score,
+        confidence: this.confidence(score),
+        intervalMinutes: this.interval / MINUTE,
+        baselineHours: this.baselineHours
+      });
+    });
+
+    return anomalies.sort((a, b) => b.score - a.score);
+  }
+
+  // 70% right at the threshold, approaching 99% as the deviation grows past it
+  confidence(score) {
+    const excess = Math.max(0, score - this.threshold);
+    return Math.min(99, Math.round(99 - 29 * Math.exp(-excess / 2)));
+  }
+}
+
+module.exports = { AnomalyDetector, SENSITIVITY };
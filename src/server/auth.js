@@ -0,0 +1,153 @@
+// src/server/auth.js - Agent enrollment tokens (pre-shared or issued by the server)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Tokens are only ever stored as hashes - the plain token is shown once when issued
+class AgentKeyring {
+  constructor(config = {}, dataDir) {
+    this.keys = new Map(); // id -> key
+    this.byHash = new Map(); // token hash -> key
+    this.adminToken = config.adminToken || null;
+    this.keysFile = config.keysFile || path.join(dataDir, 'agent-keys.json');
+
+    // Pre-shared keys straight from config: [{ id, token, serverId }]
+    (config.tokens || []).forEach((entry, index) => {
+      const token = typeof entry === 'string' ? entry : entry.token;
+      this.add({
+        id: entry.id || `config-${index + 1}`,
+        hash: this.hash(token),
+        serverId: entry.serverId || null,
+        source: 'config',
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      });
+    });
+
+    (config.revoked || []).forEach(id => {
+      const key = this.keys.get(id);
+      if (key) key.revokedAt = key.revokedAt || new Date().toISOString();
+    });
+  }
+
+  // Auth is on as soon as there is any way to get a valid key
+  get enabled() {
+    return this.keys.size > 0 || Boolean(this.adminToken);
+  }
+
+  hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  add(key) {
+    this.keys.set(key.id, key);
+    this.byHash.set(key.hash, key);
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+      // Older files are just the list of issued keys
+      const issued = Array.isArray(saved) ? saved : saved.issued || [];
+      issued.forEach(key => this.add({ ...key, source: 'issued' }));
+
+      // Pre-shared keys bound on first use stay bound across restarts; a serverId set in config wins
+      Object.entries(saved.bound || {}).forEach(([hash, serverId]) => {
+        const key = this.byHash.get(hash);
+        if (key && key.source === 'config' && !key.serverId) key.serverId = serverId;
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Cannot read agent keys from ${this.keysFile}:`, error.message);
+      }
+    }
+  }
+
+  save() {
+    const keys = Array.from(this.keys.values());
+    const issued = keys
+      .filter(key => key.source === 'issued')
+      .map(({ source, ...key }) => key);
+    const bound = keys
+      .filter(key => key.source === 'config' && key.serverId)
+      .reduce((bindings, key) => ({ ...bindings, [key.hash]: key.serverId }), {});
+
+    fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
+    const tmpPath = `${this.keysFile}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ issued, bound }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.keysFile);
+  }
+
+  issue({ serverId = null, name = null } = {}) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const key = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      hash: this.hash(token),
+      serverId,
+      source: 'issued',
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.add(key);
+    this.save();
+
+    return { ...this.describe(key), token };
+  }
+
+  revoke(id) {
+    const key = this.keys.get(id);
+    if (!key) return null;
+
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    if (key.source === 'issued') this.save();
+
+    return this.describe(key);
+  }
+
+  verify(token) {
+    if (!token) return null;
+    const key = this.byHash.get(this.hash(token));
+    return key && !key.revokedAt ? key : null;
+  }
+
+  // A key belongs to exactly one serverId - the first one it registers, unless preset.
+  // The binding is saved, so after a restart another host can't claim the key first.
+  bind(key, serverId) {
+    if (!serverId) return false;
+    if (key.serverId) return key.serverId === serverId;
+
+    key.serverId = serverId;
+    this.save();
+    return true;
+  }
+
+  isAdmin(token) {
+    if (!this.adminToken || !token) return false;
+
+    const expected = Buffer.from(this.hash(this.adminToken));
+    const actual = Buffer.from(this.hash(token));
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(key => this.describe(key));
+  }
+
+  describe(key) {
+    const { hash, ...safe } = key;
+    return safe;
+  }
+
+  static tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+}
+
+module.exports = { AgentKeyring };
@@ -0,0 +1,71 @@
+// src/server/export.js - Search results as CSV, NDJSON or JSON downloads
+//
+// Rows are written one at a time and wait for the socket to drain, so an export
+// never holds more than a chunk of serialized output in memory.
+
+const CSV_COLUMNS = [
+  'id', 'firstSeen', 'lastSeen', 'count', 'estimatedCount', 'severity', 'category', 'level',
+  'trend', 'status', 'assignee', 'serverId', 'serverName', 'logFile', 'lineNumber', 'errorMessage'
+];
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: () => `${CSV_COLUMNS.join(',')}\r\n`,
+    row: error => `${CSV_COLUMNS.map(column => csvCell(error[column])).join(',')}\r\n`,
+    end: () => ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    start: () => '',
+    row: error => `${JSON.stringify(error)}\n`,
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: () => '[',
+    row: (error, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(error)}`,
+    end: count => (count === 0 ? ']\n' : '\n]\n')
+  }
+};
+
+// Resolves on 'drain', or when the client goes away and there is nothing left to wait for
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Writes every group from the iterator; returns how many were written
+async function writeExport(res, groups, format, limit = Infinity) {
+  const formatter = FORMATS[format];
+  let count = 0;
+
+  res.write(formatter.start());
+  for (const error of groups) {
+    if (count >= limit || res.destroyed) break;
+    if (!res.write(formatter.row(error, count++))) await drained(res);
+  }
+
+  if (!res.destroyed) res.end(formatter.end(count));
+  return count;
+}
+
+module.exports = { FORMATS, writeExport, csvCell };
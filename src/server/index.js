@@ -1,18 +1,132 @@
 // src/server/index.js - Ultra-lightweight server with AI features
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { AgentKeyring } = require('./auth');
+const { MemoryBackend, createStorageBackend } = require('./storage');
+const { parseQuery, compile, isStructuredQuery, QuerySyntaxError } = require('./query');
+const { SearchIndex } = require('./searchindex');
+const { resolveTimeRange } = require('./timerange');
+const { AlertEngine } = require('./alerts');
+const { SyslogReceiver } = require('./syslog');
+const { parseIngestBody, validateRecord, LEVELS } = require('./ingest');
+const { FORMATS, writeExport } = require('./export');
+const { decodeLogsRequest, encodeLogsResponse, encodeStatus, recordsFromRequest } = require('./otlp');
+const { applyAction, isMuted, onOccurrence } = require('./lifecycle');
+const { TimeSeries } = require('./timeseries');
+const { AnomalyDetector } = require('./anomaly');
+
+// Live events kept for dashboards that reconnect, and how many a fresh one starts with
+const LIVE_BACKLOG = 1000;
+const LIVE_INITIAL = 100;
 
 // Ultra-light in-memory storage (no external DB needed!)
+// Errors are served from memory; the backend decides whether they survive restarts
 class MemoryStore {
-  constructor() {
+  constructor(options = {}) {
     this.servers = new Map();
-    this.errors = [];
+    this.groups = []; // Oldest first - appending stays cheap at 100k groups where unshift didn't
     this.insights = [];
-    this.maxErrors = 1000;
+    this.maxErrors = options.maxErrors || 1000;
+    this.retentionHours = options.retentionHours || 24;
+    this.maxOccurrences = 100; // Recent occurrence times kept per group for time filtering
+    this.backend = options.backend || new MemoryBackend();
     this.patterns = new Map(); // For AI pattern recognition
+    this.index = new SearchIndex();
+    this.fingerprints = new Map(); // serverId + logFile + normalized message -> group
+    this.ids = new Map(); // group id -> group
+    this.similar = new Map(); // normalized message -> groups on any server or file
+    this.anomalies = new AnomalyDetector(options.anomaly);
+    this.insightsGeneratedAt = 0;
+    this.insightsTimer = null;
+  }
+
+  // Newest first, the order the API and dashboard show them in
+  get errors() {
+    return this.groups.slice().reverse();
+  }
+
+  get size() {
+    return this.groups.length;
+  }
+
+  recent(limit) {
+    return this.groups.slice(-limit).reverse();
+  }
+
+  load() {
+    // Replayed oldest first, as if they had just been added
+    this.groups = [];
+    this.backend.load()
+      .sort((a, b) => new Date(a.firstSeen) - new Date(b.firstSeen))
+      .slice(-this.maxErrors)
+      .forEach(error => {
+        this.remember(error);
+        this.recordPattern(error);
+      });
+
+    this.enforceRetention();
+    this.generateInsights();
+  }
+
+  // Keep the lookup maps and search index in step with this.groups
+  remember(error) {
+    const pattern = this.normalizeMessage(error.errorMessage);
+
+    this.groups.push(error);
+    this.index.add(error);
+    this.ids.set(error.id, error);
+    this.fingerprints.set(this.fingerprint(error, pattern), error);
+    if (!this.similar.has(pattern)) this.similar.set(pattern, new Set());
+    this.similar.get(pattern).add(error);
+  }
+
+  forget(error) {
+    const pattern = this.normalizeMessage(error.errorMessage);
+    const key = this.fingerprint(error, pattern);
+
+    this.index.remove(error);
+    if (this.ids.get(error.id) === error) this.ids.delete(error.id);
+    if (this.fingerprints.get(key) === error) this.fingerprints.delete(key);
+
+    const similar = this.similar.get(pattern);
+    if (similar) {
+      similar.delete(error);
+      if (similar.size === 0) this.similar.delete(pattern);
+    }
+  }
+
+  fingerprint(error, pattern = this.normalizeMessage(error.errorMessage)) {
+    return `${error.serverId}\n${error.logFile}\n${pattern}`;
+  }
+
+  enforceRetention() {
+    const cutoff = Date.now() - (this.retentionHours * 60 * 60 * 1000);
+
+    const kept = [];
+    this.groups.forEach(error => {
+      if (new Date(error.lastSeen).getTime() >= cutoff) {
+        kept.push(error);
+      } else {
+        this.forget(error);
+      }
+    });
+    this.groups = kept;
+
+    for (const [pattern, data] of this.patterns.entries()) {
+      if (new Date(data.lastSeen).getTime() < cutoff) this.patterns.delete(pattern);
+    }
+
+    this.backend.prune(cutoff);
+  }
+
+  close() {
+    if (this.insightsTimer) clearTimeout(this.insightsTimer);
+    this.backend.close();
   }
 
   addError(error) {
@@ -21,33 +135,74 @@ class MemoryStore {
     error.severity = this.calculateSeverity(error.errorMessage);
     error.id = this.generateId();
     error.timestamp = error.timestamp || new Date().toISOString();
+    this.anomalies.observe({ server: error.serverId, category: error.category });
+    
+    // A sampled event stands for 1/sampleRate lines on the agent
+    const weight = 1 / (error.sampleRate || 1);
     
     // Check for duplicates and update count
     const existing = this.findSimilarError(error);
     if (existing) {
+      existing.estimatedCount = (existing.estimatedCount || existing.count) + weight;
       existing.count++;
       existing.lastSeen = error.timestamp;
+      existing.occurrences = [...(existing.occurrences || []), error.timestamp].slice(-this.maxOccurrences);
       existing.trend = this.calculateTrend(existing);
+      // The latest occurrence's position and surrounding lines are the ones worth looking at
+      if (error.lineNumber) {
+        existing.lineNumber = error.lineNumber;
+        existing.offset = error.offset;
+        existing.context = error.context;
+      }
+      // A resolved group that happens again is a regression - worth an insight right away
+      const change = onOccurrence(existing);
+      if (change && change.action === 'regressed') {
+        this.generateInsights();
+      } else {
+        this.scheduleInsights(); // Repeats of known errors are what spikes are made of
+      }
+      this.backend.append(existing);
       return existing;
     } else {
       error.count = 1;
+      error.estimatedCount = weight;
       error.firstSeen = error.timestamp;
       error.lastSeen = error.timestamp;
+      error.occurrences = [error.timestamp];
       error.trend = 'new';
-      this.errors.unshift(error);
+      error.status = 'open';
+      error.assignee = null;
+      error.history = [];
+      this.remember(error);
       
-      // Trim to max size
-      if (this.errors.length > this.maxErrors) {
-        this.errors = this.errors.slice(0, this.maxErrors);
+      // Trim to max size - the oldest groups go first
+      if (this.groups.length > this.maxErrors) {
+        this.groups.splice(0, this.groups.length - this.maxErrors).forEach(evicted => this.forget(evicted));
       }
       
       // Update patterns for AI insights
       this.updatePatterns(error);
+      this.backend.append(error);
       
       return error;
     }
   }
 
+  get(id) {
+    return this.ids.get(id);
+  }
+
+  // Acknowledge, resolve, mute, assign... - null when the group doesn't exist (any more)
+  changeStatus(id, action, options) {
+    const group = this.ids.get(id);
+    if (!group) return null;
+
+    applyAction(group, action, options);
+    this.backend.append(group);
+    this.generateInsights();
+    return group;
+  }
+
   // AI-powered error categorization
   categorizeError(message) {
     const msg = message.toLowerCase();
@@ -93,11 +248,7 @@ class MemoryStore {
 
   // Find similar errors for deduplication
   findSimilarError(newError) {
-    return this.errors.find(error => 
-      error.serverId === newError.serverId &&
-      error.logFile === newError.logFile &&
-      this.normalizeMessage(error.errorMessage) === this.normalizeMessage(newError.errorMessage)
-    );
+    return this.fingerprints.get(this.fingerprint(newError));
   }
 
   normalizeMessage(message) {
@@ -114,9 +265,9 @@ class MemoryStore {
     const oneHourAgo = now - (60 * 60 * 1000);
     
     // Count occurrences in last hour
-    const recentCount = this.errors.filter(e => 
+    const similar = this.similar.get(this.normalizeMessage(error.errorMessage)) || [];
+    const recentCount = Array.from(similar).filter(e => 
       e.id !== error.id &&
-      this.normalizeMessage(e.errorMessage) === this.normalizeMessage(error.errorMessage) &&
       new Date(e.lastSeen).getTime() > oneHourAgo
     ).length;
 
@@ -127,6 +278,23 @@ class MemoryStore {
   }
 
   updatePatterns(error) {
+    this.recordPattern(error);
+    this.scheduleInsights();
+  }
+
+  // Generate AI insights based on patterns - they look at every group, so under
+  // heavy ingest they're refreshed at most once a second
+  scheduleInsights() {
+    const wait = this.insightsGeneratedAt + 1000 - Date.now();
+    if (wait <= 0) {
+      this.generateInsights();
+    } else if (!this.insightsTimer) {
+      this.insightsTimer = setTimeout(() => this.generateInsights(), wait);
+      if (this.insightsTimer.unref) this.insightsTimer.unref();
+    }
+  }
+
+  recordPattern(error) {
     const pattern = this.normalizeMessage(error.errorMessage);
     const current = this.patterns.get(pattern) || { count: 0, servers: new Set(), lastSeen: null };
     
@@ -135,15 +303,31 @@ class MemoryStore {
     current.lastSeen = error.timestamp;
     
     this.patterns.set(pattern, current);
-    
-    // Generate AI insights based on patterns
-    this.generateInsights();
   }
 
   generateInsights() {
+    if (this.insightsTimer) clearTimeout(this.insightsTimer);
+    this.insightsTimer = null;
+    this.insightsGeneratedAt = Date.now();
+
     const insights = [];
     const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
+    const oneDayAgo = now - (24 * 60 * 60 * 1000);
+
+    // Regressions - resolved groups that came back and nobody has acknowledged yet
+    this.groups
+      .filter(e => e.regression && e.status === 'open' && new Date(e.regressedAt).getTime() > oneDayAgo)
+      .sort((a, b) => new Date(b.regressedAt) - new Date(a.regressedAt))
+      .forEach(e => {
+        const resolved = (e.history || []).filter(entry => entry.action === 'resolve').pop();
+        insights.push({
+          type: 'regression',
+          title: `Regression: ${e.errorMessage.slice(0, 80)}`,
+          description: `Resolved${resolved ? ` by ${resolved.by} on ${new Date(resolved.at).toLocaleString()}` : ''}, seen again on ${this.serverLabel(e)} (${e.logFile})`,
+          confidence: 95,
+          groupId: e.id
+        });
+      });
 
     // Pattern detection
     for (const [pattern, data] of this.patterns.entries()) {
@@ -158,87 +342,158 @@ class MemoryStore {
       }
     }
 
-    // Anomaly detection - spike in errors
-    const recentErrors = this.errors.filter(e => 
-      new Date(e.lastSeen).getTime() > oneHourAgo
-    );
-    
-    if (recentErrors.length > 10) {
-      const categories = {};
-      recentErrors.forEach(e => {
-        categories[e.category] = (categories[e.category] || 0) + 1;
+    // Anomaly detection - servers and categories well above their own baseline
+    this.anomalies.detect(now).forEach(anomaly => {
+      const { mean, stddev } = anomaly.baseline;
+      insights.push({
+        type: 'anomaly',
+        title: anomaly.dimension === 'server'
+          ? `Spike in errors on ${anomaly.value}`
+          : `Spike in ${anomaly.value} errors`,
+        description: `${anomaly.observed} errors in the current ${anomaly.intervalMinutes}-minute window vs a usual ${mean.toFixed(1)} ± ${stddev.toFixed(1)} (${anomaly.baselineHours}h weighted baseline) - ${anomaly.score.toFixed(1)}σ above normal`,
+        confidence: anomaly.confidence,
+        [anomaly.dimension]: anomaly.value,
+        observed: anomaly.observed,
+        baseline: anomaly.baseline,
+        score: Math.round(anomaly.score * 10) / 10
       });
-      
-      const topCategory = Object.entries(categories)
-        .sort(([,a], [,b]) => b - a)[0];
-      
-      if (topCategory && topCategory[1] > 3) {
-        insights.push({
-          type: 'anomaly',
-          title: `Spike in ${topCategory[0]} errors`,
-          description: `${topCategory[1]} errors in the last hour - ${Math.round((topCategory[1] / recentErrors.length) * 100)}% of all recent errors`,
-          confidence: 85
-        });
-      }
-    }
+    });
 
-    // Recommendations based on common issues
-    const dbErrors = this.errors.filter(e => e.category === 'Database Connectivity').length;
+    // Recommendations based on common issues - as sure as database errors are common
+    const dbErrors = this.index.fieldCandidates('category', 'Database Connectivity').size;
     if (dbErrors > 3) {
       insights.push({
         type: 'recommendation',
         title: 'Database connection optimization needed',
-        description: 'Consider implementing connection pooling and retry mechanisms',
-        confidence: 78
+        description: `${dbErrors} of ${this.groups.length} error groups are database connectivity problems - consider implementing connection pooling and retry mechanisms`,
+        confidence: Math.min(95, Math.round(50 + 50 * (dbErrors / this.groups.length)))
       });
     }
 
     this.insights = insights.slice(0, 5); // Keep top 5 insights
   }
 
-  search(query) {
-    if (!query) return this.errors.slice(0, 50);
+  search(query, range = {}) {
+    const { candidates, filters, limit } = this.select(query, range);
+    return this.collect(candidates, filters, limit);
+  }
+
+  // Every match, newest first, produced as it is consumed - for exports. The query is
+  // checked right away so syntax errors surface before a response starts.
+  stream(query, range = {}) {
+    const { candidates, filters } = this.select(query, range);
+
+    // A snapshot, so groups added or evicted while a slow client reads don't shift the walk
+    return this.scan(candidates, filters, this.groups.slice());
+  }
+
+  // Index candidates, filters and default result limit for a query
+  select(query, range) {
+    // The time range narrows everything else
+    const filters = range.from || range.to ? [e => this.inTimeRange(e, range.from, range.to)] : [];
+    
+    if (!query) return { candidates: null, filters, limit: 50 };
+    
+    // Structured queries (severity:critical AND server:web-*) - throws QuerySyntaxError
+    if (isStructuredQuery(query)) {
+      const ast = parseQuery(query);
+      return { candidates: this.index.plan(ast), filters: [...filters, compile(ast)], limit: 100 };
+    }
     
     const q = query.toLowerCase();
     
-    // Natural language processing
-    let filters = [];
+    // Natural language processing - each filter can bring index candidates along
+    const terms = [];
+    const narrowed = [];
     
     if (q.includes('critical') || q.includes('urgent')) {
-      filters.push(e => e.severity === 'critical');
+      terms.push(e => e.severity === 'critical');
+      narrowed.push(this.index.fieldCandidates('severity', 'critical'));
     }
     if (q.includes('database') || q.includes('db')) {
-      filters.push(e => e.category === 'Database Connectivity');
+      terms.push(e => e.category === 'Database Connectivity');
+      narrowed.push(this.index.fieldCandidates('category', 'Database Connectivity'));
     }
     if (q.includes('timeout')) {
-      filters.push(e => e.errorMessage.toLowerCase().includes('timeout'));
+      terms.push(e => e.errorMessage.toLowerCase().includes('timeout'));
+      narrowed.push(this.index.textCandidates('timeout'));
     }
     if (q.includes('new') || q.includes('recent')) {
-      filters.push(e => e.trend === 'new' || e.trend === 'increasing');
+      terms.push(e => e.trend === 'new' || e.trend === 'increasing');
     }
     if (q.includes('server')) {
       const serverMatch = q.match(/server[- ]?(\w+)/);
       if (serverMatch) {
-        filters.push(e => e.serverId.includes(serverMatch[1]) || e.server.toLowerCase().includes(serverMatch[1]));
+        terms.push(e => e.serverId.includes(serverMatch[1]) || this.serverLabel(e).toLowerCase().includes(serverMatch[1]));
+        narrowed.push(this.index.textCandidates(serverMatch[1]));
       }
     }
     
-    // Apply filters
-    let results = this.errors;
-    for (const filter of filters) {
-      results = results.filter(filter);
-    }
-    
     // Fallback to text search
-    if (results.length === this.errors.length && filters.length === 0) {
-      results = this.errors.filter(e => 
+    if (terms.length === 0) {
+      terms.push(e => 
         e.errorMessage.toLowerCase().includes(q) ||
-        e.server.toLowerCase().includes(q) ||
+        this.serverLabel(e).toLowerCase().includes(q) ||
         e.category.toLowerCase().includes(q)
       );
+      narrowed.push(this.index.textCandidates(q));
     }
     
-    return results.slice(0, 100);
+    // Every term has to match, so the smallest candidate set is enough to walk
+    const candidates = narrowed
+      .filter(Boolean)
+      .reduce((smallest, set) => (!smallest || set.size < smallest.size ? set : smallest), null);
+    
+    return { candidates, filters: [...filters, ...terms], limit: 100 };
+  }
+
+  collect(candidates, filters, limit) {
+    const results = [];
+    for (const error of this.scan(candidates, filters)) {
+      if (results.push(error) >= limit) break;
+    }
+    return results;
+  }
+
+  // Newest-first matches, walking the index candidates instead of every group when
+  // there are comparatively few of them
+  *scan(candidates, filters, groups = this.groups) {
+    const matches = error => filters.every(filter => filter(error));
+
+    if (candidates && candidates.size < groups.length / 4) {
+      for (const error of this.index.newestFirst(candidates)) {
+        if (matches(error)) yield error;
+      }
+      return;
+    }
+
+    for (let i = groups.length - 1; i >= 0; i--) {
+      const error = groups[i];
+      if ((!candidates || candidates.has(error)) && matches(error)) yield error;
+    }
+  }
+
+  // Did this group occur between from and to (either may be null)?
+  inTimeRange(error, from, to) {
+    const fromTime = from ? from.getTime() : -Infinity;
+    const toTime = to ? to.getTime() : Infinity;
+    const firstSeen = new Date(error.firstSeen).getTime();
+    const lastSeen = new Date(error.lastSeen).getTime();
+    
+    if (lastSeen < fromTime || firstSeen > toTime) return false;
+    
+    // Individual occurrences say whether it actually happened inside the window
+    const occurrences = (error.occurrences || []).map(t => new Date(t).getTime());
+    if (occurrences.length === 0) return true;
+    if (occurrences.some(t => t >= fromTime && t <= toTime)) return true;
+    
+    // Older occurrences weren't kept - fall back to the firstSeen..lastSeen overlap
+    const complete = occurrences.length >= (error.count || 1);
+    return !complete && fromTime <= Math.min(...occurrences);
+  }
+
+  serverLabel(error) {
+    return error.serverName || error.server || error.serverId || '';
   }
 
   generateId() {
@@ -248,25 +503,73 @@ class MemoryStore {
 
 // Ultra-lightweight HTTP server
 class LogScopeServer {
-  constructor(port = 3001, wsPort = 8080) {
+  constructor(port = 3001, wsPort = 8080, config = {}) {
     this.port = port;
     this.wsPort = wsPort;
-    this.store = new MemoryStore();
+    this.config = config;
+    this.dataDir = config.dataDir || path.join(process.cwd(), 'data');
+    this.keyring = new AgentKeyring(config.auth, this.dataDir);
+    this.keyring.load();
+    // Separate from agent keys: an ingest key can post records but never register an agent
+    this.ingestKeys = new AgentKeyring({ tokens: (config.ingest || {}).keys }, this.dataDir);
+    this.tls = this.loadTLS(config.tls);
+    this.store = new MemoryStore({
+      maxErrors: config.maxErrors,
+      retentionHours: config.retentionHours,
+      backend: createStorageBackend(config.storage, this.dataDir),
+      anomaly: config.anomaly
+    });
+    this.store.load();
+    this.timeseries = new TimeSeries({ ...config.timeseries, file: path.join(this.dataDir, 'timeseries.json') });
+    this.timeseries.load();
+    // Spike baselines pick up where the saved counts left off instead of starting from nothing
+    this.timeseries.recent('events').forEach(({ time, dimensions, value }) => this.store.anomalies.observe(dimensions, value, time));
+    this.alerts = new AlertEngine(config.alerts);
     this.clients = new Set();
     this.agents = new Map();
+    this.sequences = new Map(); // Last processed seq per agent stream
+    this.sequencesPath = path.join(this.dataDir, 'sequences.json');
+    this.loadSequences();
+    this.liveEvents = []; // Recent events for the live tail, oldest first
+    this.liveSeq = 0;
+    this.syslog = config.syslog ? new SyslogReceiver(config.syslog, message => this.handleSyslog(message)) : null;
     
     this.setupHTTPServer();
     this.setupWebSocketServer();
   }
 
+  // HTTPS/WSS when tls.cert and tls.key are configured; tls.ca enables agent client certs
+  loadTLS(tlsConfig) {
+    if (!tlsConfig || !tlsConfig.cert || !tlsConfig.key) return null;
+
+    return {
+      cert: fs.readFileSync(tlsConfig.cert),
+      key: fs.readFileSync(tlsConfig.key),
+      ca: tlsConfig.ca ? fs.readFileSync(tlsConfig.ca) : undefined,
+      passphrase: tlsConfig.passphrase
+    };
+  }
+
+  createListener(handler, { clientCerts = false } = {}) {
+    if (!this.tls) return http.createServer(handler);
+
+    return https.createServer({
+      ...this.tls,
+      // Ask agents for a certificate, but let verifyAgent decide so tokens still work
+      requestCert: clientCerts && Boolean(this.tls.ca),
+      rejectUnauthorized: false
+    }, handler);
+  }
+
   setupHTTPServer() {
-    this.httpServer = http.createServer((req, res) => {
+    this.httpServer = this.createListener((req, res) => {
       const url = new URL(req.url, `http://localhost:${this.port}`);
       
       // CORS headers
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Encoding, Authorization');
+      res.setHeader('Access-Control-Expose-Headers', 'X-Time-Range');
       
       if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -274,6 +577,12 @@ class LogScopeServer {
         return;
       }
 
+      // OpenTelemetry exporters post to the standard OTLP/HTTP path
+      if (url.pathname === '/v1/logs') {
+        this.handleOTLP(req, res);
+        return;
+      }
+
       // API Routes
       if (url.pathname.startsWith('/api/')) {
         this.handleAPI(req, res, url);
@@ -296,11 +605,30 @@ class LogScopeServer {
       }
       else if (url.pathname === '/api/errors') {
         const limit = parseInt(url.searchParams.get('limit')) || 50;
-        const query = url.searchParams.get('q') || '';
-        const errors = this.store.search(query).slice(0, limit);
+        const range = resolveTimeRange(
+          url.searchParams.get('q') || '',
+          url.searchParams.get('from'),
+          url.searchParams.get('to')
+        );
+        const errors = this.store.search(range.query, range).slice(0, limit);
+        
+        // Tell the dashboard how the query's time words were understood
+        if (range.from || range.to) {
+          res.setHeader('X-Time-Range', JSON.stringify({
+            from: range.from && range.from.toISOString(),
+            to: range.to && range.to.toISOString(),
+            label: range.label
+          }));
+        }
         res.writeHead(200);
         res.end(JSON.stringify(errors));
       }
+      else if (url.pathname.startsWith('/api/errors/')) {
+        this.handleErrorGroup(req, res, url);
+      }
+      else if (url.pathname === '/api/export') {
+        this.handleExport(res, url);
+      }
       else if (url.pathname === '/api/stats') {
         const servers = Array.from(this.agents.values());
         const stats = {
@@ -313,10 +641,33 @@ class LogScopeServer {
         res.writeHead(200);
         res.end(JSON.stringify(stats));
       }
+      else if (url.pathname === '/api/timeseries') {
+        const filters = {};
+        ['server', 'level', 'category', 'file'].forEach(name => {
+          if (url.searchParams.get(name)) filters[name] = url.searchParams.get(name);
+        });
+        const range = resolveTimeRange('', url.searchParams.get('from'), url.searchParams.get('to'));
+        const result = this.timeseries.query({
+          metric: url.searchParams.get('metric') || 'events',
+          groupBy: url.searchParams.get('groupBy') || null,
+          from: range.from,
+          to: range.to,
+          step: url.searchParams.get('step'),
+          filters
+        });
+        res.writeHead(200);
+        res.end(JSON.stringify(result));
+      }
       else if (url.pathname === '/api/insights') {
         res.writeHead(200);
         res.end(JSON.stringify(this.store.insights));
       }
+      else if (url.pathname === '/api/ingest') {
+        this.handleIngest(req, res);
+      }
+      else if (url.pathname === '/api/agent-keys' || url.pathname.startsWith('/api/agent-keys/')) {
+        this.handleAgentKeys(req, res, url);
+      }
       else if (url.pathname === '/api/health') {
         res.writeHead(200);
         res.end(JSON.stringify({ 
@@ -324,7 +675,7 @@ class LogScopeServer {
           uptime: process.uptime(),
           memory: process.memoryUsage(),
           servers: this.agents.size,
-          errors: this.store.errors.length
+          errors: this.store.size
         }));
       }
       else {
@@ -332,11 +683,304 @@ class LogScopeServer {
         res.end(JSON.stringify({ error: 'Not found' }));
       }
     } catch (error) {
-      res.writeHead(500);
+      if (error instanceof QuerySyntaxError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message, position: error.position }));
+        return;
+      }
+      res.writeHead(error.statusCode || 500);
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  }
+
+  // Every match of a search (not just the first page) as a streamed download
+  handleExport(res, url) {
+    const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: `Unknown export format: ${format} (use csv, ndjson or json)` }));
+      return;
+    }
+
+    const range = resolveTimeRange(
+      url.searchParams.get('q') || '',
+      url.searchParams.get('from'),
+      url.searchParams.get('to')
+    );
+    // Throws QuerySyntaxError here, while a 400 can still be sent
+    const groups = this.store.stream(range.query, range);
+    const limit = parseInt(url.searchParams.get('limit')) || Infinity;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="logsv-export-${stamp}.${format}"`);
+    res.writeHead(200);
+
+    writeExport(res, groups, format, limit).catch(error => {
+      console.error('Export failed:', error.message);
+      res.destroy();
+    });
+  }
+
+  // GET /api/errors/:id (or .../history), POST /api/errors/:id/<action> with { by, ... }
+  // Changes need the admin token once auth is configured - "by" is only what the caller says
+  async handleErrorGroup(req, res, url) {
+    try {
+      const [id, action] = url.pathname.split('/').slice(3);
+      const group = this.store.get(id);
+      if (!group) {
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: 'Error group not found' }));
+        return;
+      }
+
+      if (req.method === 'GET' && (!action || action === 'history')) {
+        res.writeHead(200);
+        res.end(JSON.stringify(action ? group.history || [] : group));
+        return;
+      }
+
+      if (req.method !== 'POST' || !action) {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+      }
+
+      if (this.keyring.enabled && !this.keyring.isAdmin(AgentKeyring.tokenFromRequest(req))) {
+        res.writeHead(401);
+        res.end(JSON.stringify({ error: 'Admin token required' }));
+        return;
+      }
+
+      const body = await this.readJSONBody(req);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw Object.assign(new Error('Body must be a JSON object'), { statusCode: 400 });
+      }
+      this.store.changeStatus(id, action, body);
+      console.log(`📝 ${action} on error group ${id} by ${body.by}`);
+
+      this.broadcast('errorUpdated', group);
+      this.publishErrors();
+      res.writeHead(200);
+      res.end(JSON.stringify(group));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500);
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  }
+
+  // Enrollment key management - needs the admin token from auth.adminToken
+  async handleAgentKeys(req, res, url) {
+    try {
+      if (!this.keyring.isAdmin(AgentKeyring.tokenFromRequest(req))) {
+        res.writeHead(401);
+        res.end(JSON.stringify({ error: 'Admin token required' }));
+        return;
+      }
+
+      const id = url.pathname.split('/')[3];
+
+      if (req.method === 'GET' && !id) {
+        res.writeHead(200);
+        res.end(JSON.stringify(this.keyring.list()));
+      }
+      else if (req.method === 'POST' && !id) {
+        const body = await this.readJSONBody(req);
+        const key = this.keyring.issue({ serverId: body.serverId, name: body.name });
+        console.log(`🔑 Agent key issued: ${key.id}${key.serverId ? ` (${key.serverId})` : ''}`);
+        res.writeHead(201);
+        res.end(JSON.stringify(key));
+      }
+      else if (req.method === 'DELETE' && id) {
+        const key = this.keyring.revoke(id);
+        if (!key) {
+          res.writeHead(404);
+          res.end(JSON.stringify({ error: 'Key not found' }));
+          return;
+        }
+
+        // Revocation is immediate - drop agents still connected with this key
+        this.agentWss.clients.forEach(ws => {
+          if (ws.agentKey && ws.agentKey.id === id) ws.close(4001, 'Key revoked');
+        });
+
+        console.log(`🔒 Agent key revoked: ${id}`);
+        res.writeHead(200);
+        res.end(JSON.stringify(key));
+      }
+      else {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+      }
+    } catch (error) {
+      res.writeHead(error.statusCode || 500);
       res.end(JSON.stringify({ error: error.message }));
     }
   }
 
+  // Bulk records from producers that can't hold a WebSocket open (cron jobs, functions)
+  async handleIngest(req, res) {
+    try {
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+      }
+
+      if (!this.ingestKeys.enabled) {
+        res.writeHead(403);
+        res.end(JSON.stringify({ error: 'Ingestion is disabled - set ingest.keys in the server config' }));
+        return;
+      }
+
+      const key = this.ingestKeys.verify(AgentKeyring.tokenFromRequest(req));
+      if (!key) {
+        res.writeHead(401);
+        res.end(JSON.stringify({ error: 'Valid ingest key required' }));
+        return;
+      }
+
+      const limit = (this.config.ingest && this.config.ingest.maxBodyBytes) || 5 * 1024 * 1024;
+      const body = await this.readBody(req, limit);
+      const entries = parseIngestBody(body.toString('utf8'), req.headers['content-type']);
+
+      const errors = [];
+      let accepted = 0;
+      entries.forEach(({ index, record, error }) => {
+        const result = error ? { error } : validateRecord(record, key);
+        if (result.error) {
+          errors.push({ index, error: result.error });
+          return;
+        }
+
+        this.broadcast('newError', this.recordError(result.event));
+        accepted++;
+      });
+
+      if (accepted > 0) this.publishErrors();
+
+      res.writeHead(accepted === 0 && errors.length > 0 ? 400 : 200);
+      res.end(JSON.stringify({ accepted, rejected: errors.length, errors }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500);
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  }
+
+  // OTLP/HTTP logs from OpenTelemetry SDKs and collectors, with the same keys as /api/ingest
+  async handleOTLP(req, res) {
+    const protobuf = /protobuf/i.test(req.headers['content-type'] || '');
+    const reply = (status, body) => {
+      res.setHeader('Content-Type', protobuf ? 'application/x-protobuf' : 'application/json');
+      res.writeHead(status);
+      res.end(body);
+    };
+    const fail = (status, code, message) => reply(status, protobuf ? encodeStatus(code, message) : JSON.stringify({ code, message }));
+
+    try {
+      if (req.method !== 'POST') return fail(405, 12, 'Method not allowed');
+      if (!this.ingestKeys.enabled) return fail(403, 7, 'Ingestion is disabled - set ingest.keys in the server config');
+
+      const key = this.ingestKeys.verify(AgentKeyring.tokenFromRequest(req));
+      if (!key) return fail(401, 16, 'Valid ingest key required');
+
+      const ingest = this.config.ingest || {};
+      const body = await this.readBody(req, ingest.maxBodyBytes || 5 * 1024 * 1024);
+
+      let request;
+      try {
+        request = protobuf ? decodeLogsRequest(body) : JSON.parse(body.toString('utf8') || '{}');
+      } catch (error) {
+        return fail(400, 3, `Invalid OTLP ${protobuf ? 'protobuf' : 'JSON'} body: ${error.message}`);
+      }
+
+      // SDKs export every log line; only minLevel and above become error events
+      const minLevel = LEVELS.indexOf(String((ingest.otlp && ingest.otlp.minLevel) || 'ERROR').toUpperCase());
+      const problems = [];
+      let stored = 0;
+
+      recordsFromRequest(request).forEach(record => {
+        const result = validateRecord(record, key);
+        if (result.error) {
+          problems.push(result.error);
+        } else if (LEVELS.indexOf(result.event.level) >= minLevel) {
+          this.broadcast('newError', this.recordError(result.event));
+          stored++;
+        }
+      });
+
+      if (stored > 0) this.publishErrors();
+
+      const message = problems.length ? `${problems.length} log record(s) rejected: ${problems[0]}` : '';
+      reply(200, protobuf
+        ? encodeLogsResponse(problems.length, message)
+        : JSON.stringify(problems.length ? { partialSuccess: { rejectedLogRecords: problems.length, errorMessage: message } } : {}));
+    } catch (error) {
+      fail(error.statusCode || 500, error.statusCode === 413 ? 8 : 13, error.message);
+    }
+  }
+
+  // Raw body, gunzipped when the client sent Content-Encoding: gzip
+  readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+
+        if (encoding === 'identity') return resolve(raw);
+        if (encoding !== 'gzip') {
+          return reject(Object.assign(new Error(`Unsupported Content-Encoding: ${encoding}`), { statusCode: 415 }));
+        }
+
+        zlib.gunzip(raw, { maxOutputLength: limit }, (error, decoded) => {
+          if (!error) return resolve(decoded);
+          reject(error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? Object.assign(new Error('Request body too large'), { statusCode: 413 })
+            : Object.assign(new Error('Invalid gzip body'), { statusCode: 400 }));
+        });
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  readJSONBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > limit) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+        }
+      });
+
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+          reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
   serveDashboard(req, res, pathname) {
     // Serve the embedded React dashboard
     const html = `<!DOCTYPE html>
@@ -348,7 +992,6 @@ class LogScopeServer {
     <script src="https://unpkg.com/react@18/umd/react.development.js"></script>
     <script src="https://unpkg.com/react-dom@18/umd/react-dom.development.js"></script>
     <script src="https://unpkg.com/@babel/standalone/babel.min.js"></script>
-    <script src="https://unpkg.com/socket.io-client@4/dist/socket.io.js"></script>
     <script src="https://cdn.tailwindcss.com"></script>
     <style>
         body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; }
@@ -367,36 +1010,286 @@ class LogScopeServer {
     </div>
     
     <script type="text/babel">
-        const { useState, useEffect } = React;
+        const { useState, useEffect, useRef } = React;
+        
+        const LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+        const MAX_TAIL = 500;
+        
+        // The dashboard WebSocket listens on the HTTP port + 1
+        const liveURL = (since) => {
+            const secure = location.protocol === 'https:';
+            const port = Number(location.port || (secure ? 443 : 80)) + 1;
+            return \`\${secure ? 'wss' : 'ws'}://\${location.hostname}:\${port}\${since !== null ? \`?since=\${since}\` : ''}\`;
+        };
+        
+        const CHART_COLORS = ['#2563eb', '#dc2626', '#d97706', '#16a34a', '#9333ea', '#6b7280'];
+        const CHART_RANGES = { '1h': 60, '6h': 360, '24h': 1440, '7d': 10080 };
+        
+        // Stacked bars for a /api/timeseries result - the five biggest series, the rest as "other"
+        const Chart = ({ result }) => {
+            if (!result || result.series.length === 0) {
+                return <p className="text-sm text-gray-500 py-8 text-center">No data in this range yet</p>;
+            }
+            
+            const top = result.series.slice(0, 5);
+            const rest = result.series.slice(5);
+            const series = rest.length === 0 ? top : [...top, {
+                key: 'other',
+                total: rest.reduce((sum, s) => sum + s.total, 0),
+                values: top[0].values.map((v, i) => rest.reduce((sum, s) => sum + s.values[i], 0))
+            }];
+            
+            const points = series[0].values.length;
+            const stacked = series[0].values.map((v, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+            const max = Math.max(1, ...stacked);
+            const width = 800;
+            const height = 160;
+            const barWidth = width / points;
+            const start = new Date(result.from).getTime();
+            
+            return (
+                <div>
+                    <svg viewBox={'0 0 ' + width + ' ' + (height + 20)} className="w-full" preserveAspectRatio="none">
+                        {series[0].values.map((v, i) => {
+                            let y = height;
+                            const time = new Date(start + i * result.stepMs).toLocaleString();
+                            return (
+                                <g key={i}>
+                                    {series.map((s, j) => {
+                                        const h = (s.values[i] / max) * height;
+                                        y -= h;
+                                        return h > 0 && (
+                                            <rect key={s.key} x={i * barWidth} y={y} width={Math.max(barWidth - 1, 0.5)} height={h} fill={CHART_COLORS[j]}>
+                                                <title>{time + ' - ' + s.key + ': ' + s.values[i]}</title>
+                                            </rect>
+                                        );
+                                    })}
+                                </g>
+                            );
+                        })}
+                        <text x="0" y={height + 15} fontSize="11" fill="#6b7280">{new Date(start).toLocaleString()}</text>
+                        <text x={width} y={height + 15} fontSize="11" fill="#6b7280" textAnchor="end">{new Date(result.to).toLocaleString()}</text>
+                        <text x="2" y="11" fontSize="11" fill="#6b7280">{max}</text>
+                    </svg>
+                    <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+                        {series.map((s, j) => (
+                            <span key={s.key} className="flex items-center">
+                                <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ background: CHART_COLORS[j] }}></span>
+                                {s.key} ({s.total})
+                            </span>
+                        ))}
+                        <span className="text-gray-400">per {result.step}</span>
+                    </div>
+                </div>
+            );
+        };
         
         const LogScope = () => {
             const [data, setData] = useState({ servers: [], errors: [], insights: [] });
             const [searchQuery, setSearchQuery] = useState('');
+            const [expandedStacks, setExpandedStacks] = useState({});
+            const [expandedContext, setExpandedContext] = useState({});
+            const [expandedHistory, setExpandedHistory] = useState({});
+            const [searchError, setSearchError] = useState(null);
+            const [timeRange, setTimeRange] = useState(null);
+            const [view, setView] = useState(location.hash === '#tail' ? 'tail' : 'overview');
+            const [connection, setConnection] = useState('connecting');
+            const [tail, setTail] = useState([]);
+            const [held, setHeld] = useState([]);
+            const [paused, setPaused] = useState(false);
+            const [tailFilter, setTailFilter] = useState({ server: '', file: '', level: '' });
+            const [chart, setChart] = useState({ metric: 'events', groupBy: 'level', range: '6h' });
+            const [series, setSeries] = useState(null);
+            const pausedRef = useRef(false);
+            const searchingRef = useRef(false);
             
             useEffect(() => {
-                // Initial data fetch
+                let ws = null;
+                let retryTimer = null;
+                let attempts = 0;
+                let lastSeq = null;
+                let closed = false;
+                
+                // Newest first; events that arrive while paused wait in \`held\`
+                const addEvents = (events) => {
+                    const fresh = events.filter(event => lastSeq === null || event.seq > lastSeq);
+                    if (fresh.length === 0) return;
+                    lastSeq = fresh[fresh.length - 1].seq;
+                    
+                    const newestFirst = fresh.slice().reverse();
+                    if (pausedRef.current) {
+                        setHeld(prev => [...newestFirst, ...prev].slice(0, MAX_TAIL));
+                    } else {
+                        setTail(prev => [...newestFirst, ...prev].slice(0, MAX_TAIL));
+                    }
+                };
+                
+                const connect = () => {
+                    ws = new WebSocket(liveURL(lastSeq));
+                    
+                    ws.onopen = () => {
+                        attempts = 0;
+                        setConnection('live');
+                    };
+                    
+                    ws.onmessage = (message) => {
+                        const { type, data: payload } = JSON.parse(message.data);
+                        
+                        if (type === 'servers') setData(prev => ({ ...prev, servers: payload }));
+                        if (type === 'insights') setData(prev => ({ ...prev, insights: payload }));
+                        // Search results stay put until the search is cleared
+                        if (type === 'errors' && !searchingRef.current) setData(prev => ({ ...prev, errors: payload }));
+                        if (type === 'errorUpdated') setData(prev => ({ ...prev, errors: prev.errors.map(e => e.id === payload.id ? payload : e) }));
+                        if (type === 'event') addEvents([payload]);
+                        if (type === 'backfill') {
+                            // The server restarted (or this is the first connect) - start the tail over
+                            if (payload.reset) {
+                                lastSeq = null;
+                                setTail([]);
+                                setHeld([]);
+                            }
+                            addEvents(payload.events);
+                            lastSeq = payload.seq;
+                        }
+                    };
+                    
+                    ws.onclose = () => {
+                        if (closed) return;
+                        setConnection('reconnecting');
+                        retryTimer = setTimeout(connect, Math.min(30000, 1000 * 2 ** attempts++));
+                    };
+                };
+                
+                // First paint over HTTP, in case the WebSocket port is slow or blocked
                 Promise.all([
                     fetch('/api/servers').then(r => r.json()),
                     fetch('/api/errors').then(r => r.json()),
                     fetch('/api/insights').then(r => r.json())
                 ]).then(([servers, errors, insights]) => {
-                    setData({ servers, errors, insights });
+                    setData(prev => ({ servers, errors: searchingRef.current ? prev.errors : errors, insights }));
                 });
+                connect();
                 
-                // Polling for updates (simplified)
-                const interval = setInterval(() => {
-                    fetch('/api/errors').then(r => r.json()).then(errors => 
-                        setData(prev => ({ ...prev, errors }))
-                    );
-                }, 5000);
-                
-                return () => clearInterval(interval);
+                return () => {
+                    closed = true;
+                    clearTimeout(retryTimer);
+                    if (ws) ws.close();
+                };
             }, []);
             
+            // Buckets fill up by the minute, so the chart is refetched once a minute
+            useEffect(() => {
+                const load = () => {
+                    const from = new Date(Date.now() - CHART_RANGES[chart.range] * 60 * 1000).toISOString();
+                    const params = new URLSearchParams({ metric: chart.metric, groupBy: chart.groupBy, from });
+                    fetch('/api/timeseries?' + params).then(r => r.json()).then(result => setSeries(result.series ? result : null));
+                };
+                load();
+                const timer = setInterval(load, 60 * 1000);
+                return () => clearInterval(timer);
+            }, [chart]);
+            
+            const showView = (next) => {
+                setView(next);
+                history.replaceState(null, '', next === 'tail' ? '#tail' : '#');
+            };
+            
+            const togglePause = () => {
+                pausedRef.current = !paused;
+                if (paused) {
+                    setTail(prev => [...held, ...prev].slice(0, MAX_TAIL));
+                    setHeld([]);
+                }
+                setPaused(!paused);
+            };
+            
+            const tailFiles = Array.from(new Set(tail.map(event => event.logFile))).sort();
+            const visibleTail = tail.filter(event =>
+                (!tailFilter.server || event.serverId === tailFilter.server) &&
+                (!tailFilter.file || event.logFile === tailFilter.file) &&
+                (!tailFilter.level || LEVELS.indexOf(event.level) >= LEVELS.indexOf(tailFilter.level))
+            );
+            
+            const getLevelColor = (level) => {
+                switch (level) {
+                    case 'ERROR': return 'text-red-400';
+                    case 'WARN': return 'text-yellow-300';
+                    case 'INFO': return 'text-green-300';
+                    default: return 'text-gray-400';
+                }
+            };
+            
             const handleSearch = async () => {
+                searchingRef.current = searchQuery.trim() !== '';
                 const response = await fetch(\`/api/errors?q=\${encodeURIComponent(searchQuery)}\`);
-                const errors = await response.json();
-                setData(prev => ({ ...prev, errors }));
+                const result = await response.json();
+                
+                // Query syntax errors come back as 400 with the position of the problem
+                if (!response.ok) {
+                    setSearchError(result);
+                    return;
+                }
+                
+                setSearchError(null);
+                setTimeRange(JSON.parse(response.headers.get('X-Time-Range') || 'null'));
+                setData(prev => ({ ...prev, errors: result }));
+            };
+            
+            const toggleStack = (id) => {
+                setExpandedStacks(prev => ({ ...prev, [id]: !prev[id] }));
+            };
+            
+            const toggleContext = (id) => {
+                setExpandedContext(prev => ({ ...prev, [id]: !prev[id] }));
+            };
+            
+            const toggleHistory = (id) => {
+                setExpandedHistory(prev => ({ ...prev, [id]: !prev[id] }));
+            };
+            
+            // Changes are recorded under a name this browser remembers
+            const changeStatus = async (error, action, details = {}) => {
+                let by = localStorage.getItem('logsv-user');
+                if (!by) {
+                    by = (prompt('Your name, for the error history:') || '').trim();
+                    if (!by) return;
+                    localStorage.setItem('logsv-user', by);
+                }
+                
+                const send = (token) => fetch(\`/api/errors/\${error.id}/\${action}\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: \`Bearer \${token}\` } : {}) },
+                    body: JSON.stringify({ ...details, by })
+                });
+                
+                // With auth configured, changes need the admin token - asked for once
+                let response = await send(localStorage.getItem('logsv-admin-token'));
+                if (response.status === 401) {
+                    const token = (prompt('Admin token (auth.adminToken) to change error groups:') || '').trim();
+                    if (!token) return;
+                    response = await send(token);
+                    if (response.ok) localStorage.setItem('logsv-admin-token', token);
+                }
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(result.error);
+                    return;
+                }
+                setData(prev => ({ ...prev, errors: prev.errors.map(e => e.id === result.id ? result : e) }));
+            };
+            
+            const assign = (error) => {
+                const assignee = prompt('Assign to (leave empty to unassign):', error.assignee || '');
+                if (assignee !== null) changeStatus(error, 'assign', { assignee: assignee.trim() || null });
+            };
+            
+            const getStatusColor = (status) => {
+                switch (status) {
+                    case 'acknowledged': return 'bg-blue-100 text-blue-800';
+                    case 'resolved': return 'bg-green-100 text-green-800';
+                    case 'muted': return 'bg-gray-200 text-gray-600';
+                    default: return 'bg-red-50 text-red-700';
+                }
             };
             
             const getSeverityColor = (severity) => {
@@ -412,19 +1305,90 @@ class LogScopeServer {
                 <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
                     <div className="max-w-7xl mx-auto">
                         {/* Header */}
-                        <div className="mb-8">
-                            <h1 className="text-4xl font-bold text-gray-900 mb-2">
-                                LogSV ⚡
-                            </h1>
-                            <p className="text-gray-600">Ultra-lightweight AI-powered log monitoring</p>
+                        <div className="mb-8 flex justify-between items-end">
+                            <div>
+                                <h1 className="text-4xl font-bold text-gray-900 mb-2">
+                                    LogSV ⚡
+                                </h1>
+                                <p className="text-gray-600">Ultra-lightweight AI-powered log monitoring</p>
+                            </div>
+                            <div className="flex items-center space-x-4">
+                                <span className={\`text-sm \${connection === 'live' ? 'text-green-600' : 'text-yellow-600'}\`}>
+                                    {connection === 'live' ? '● Live' : connection === 'connecting' ? '○ Connecting…' : '○ Reconnecting…'}
+                                </span>
+                                {['overview', 'tail'].map(name => (
+                                    <button
+                                        key={name}
+                                        onClick={() => showView(name)}
+                                        className={\`px-4 py-2 rounded-lg text-sm \${view === name ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}\`}
+                                    >
+                                        {name === 'overview' ? 'Overview' : 'Live tail'}
+                                    </button>
+                                ))}
+                            </div>
                         </div>
 
+                        {view === 'tail' && (
+                            <div className="bg-white rounded-lg shadow-sm">
+                                <div className="p-4 border-b flex flex-wrap items-center gap-3">
+                                    <button
+                                        onClick={togglePause}
+                                        className={\`px-4 py-2 rounded-lg text-sm text-white \${paused ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-700 hover:bg-gray-800'}\`}
+                                    >
+                                        {paused ? \`▶ Resume (\${held.length} new)\` : '⏸ Pause'}
+                                    </button>
+                                    <select
+                                        value={tailFilter.server}
+                                        onChange={(e) => setTailFilter(prev => ({ ...prev, server: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All servers</option>
+                                        {data.servers.map(server => (
+                                            <option key={server.serverId} value={server.serverId}>{server.serverName || server.serverId}</option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        value={tailFilter.file}
+                                        onChange={(e) => setTailFilter(prev => ({ ...prev, file: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All files</option>
+                                        {tailFiles.map(file => <option key={file} value={file}>{file}</option>)}
+                                    </select>
+                                    <select
+                                        value={tailFilter.level}
+                                        onChange={(e) => setTailFilter(prev => ({ ...prev, level: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All levels</option>
+                                        {LEVELS.map(level => <option key={level} value={level}>{level} and above</option>)}
+                                    </select>
+                                    <span className="text-sm text-gray-500">{visibleTail.length} of {tail.length} events</span>
+                                </div>
+                                <div className="bg-gray-900 text-gray-100 font-mono text-xs p-4 rounded-b-lg overflow-y-auto" style={{ height: '70vh' }}>
+                                    {visibleTail.length === 0 && (
+                                        <p className="text-gray-500">Waiting for events…</p>
+                                    )}
+                                    {visibleTail.map(event => (
+                                        <div key={event.seq} className="py-0.5 whitespace-pre-wrap break-all">
+                                            <span className="text-gray-500">{new Date(event.timestamp).toLocaleTimeString()}</span>{' '}
+                                            <span className={getLevelColor(event.level)}>{event.level.padEnd(5)}</span>{' '}
+                                            <span className="text-blue-300">{event.serverName || event.serverId}</span>{' '}
+                                            <span className="text-gray-400">{event.logFile}{event.lineNumber ? \`:\${event.lineNumber}\` : ''}</span>{' '}
+                                            <span>{event.errorMessage}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {view === 'overview' && (<>
                         {/* Search */}
                         <div className="mb-8">
                             <div className="flex">
                                 <input
                                     type="text"
-                                    placeholder="Natural language search: 'show me database timeouts' or 'critical errors'"
+                                    placeholder="Search: 'show me database timeouts' or severity:critical AND server:web-* AND message:/timed? out/"
                                     className="flex-1 px-4 py-2 border border-gray-300 rounded-l-lg focus:ring-2 focus:ring-blue-500"
                                     value={searchQuery}
                                     onChange={(e) => setSearchQuery(e.target.value)}
@@ -437,6 +1401,38 @@ class LogScopeServer {
                                     Search
                                 </button>
                             </div>
+                            <div className="mt-2 text-sm text-gray-500">
+                                Export {searchQuery ? 'results' : 'all errors'}:{' '}
+                                {['csv', 'ndjson', 'json'].map((format, i) => (
+                                    <span key={format}>
+                                        {i > 0 && ' · '}
+                                        <a
+                                            href={\`/api/export?format=\${format}&q=\${encodeURIComponent(searchQuery)}\`}
+                                            download
+                                            className="text-blue-600 hover:underline"
+                                        >
+                                            {format.toUpperCase()}
+                                        </a>
+                                    </span>
+                                ))}
+                            </div>
+                            {timeRange && !searchError && (
+                                <div className="mt-2 text-sm text-gray-600">
+                                    🕐 <span className="font-medium">{timeRange.label}</span>:{' '}
+                                    {timeRange.from ? new Date(timeRange.from).toLocaleString() : 'beginning'}
+                                    {' → '}
+                                    {timeRange.to ? new Date(timeRange.to).toLocaleString() : 'now'}
+                                </div>
+                            )}
+                            {searchError && (
+                                <div className="mt-2 text-sm text-red-700 font-mono">
+                                    <div>{searchQuery}</div>
+                                    {searchError.position !== undefined && (
+                                        <div>{' '.repeat(searchError.position)}^</div>
+                                    )}
+                                    <div className="font-sans">{searchError.error}</div>
+                                </div>
+                            )}
                         </div>
 
                         {/* AI Insights */}
@@ -450,6 +1446,7 @@ class LogScopeServer {
                                                 <span className={\`px-2 py-1 rounded text-xs font-medium \${
                                                     insight.type === 'pattern' ? 'bg-blue-100 text-blue-800' :
                                                     insight.type === 'anomaly' ? 'bg-red-100 text-red-800' :
+                                                    insight.type === 'regression' ? 'bg-yellow-100 text-yellow-800' :
                                                     'bg-green-100 text-green-800'
                                                 }\`}>
                                                     {insight.type}
@@ -522,12 +1519,48 @@ class LogScopeServer {
                             </div>
                         </div>
 
+                        {/* Trends */}
+                        <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+                            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                                <h2 className="text-xl font-semibold">📈 Trends</h2>
+                                <div className="flex flex-wrap gap-2">
+                                    <select
+                                        value={chart.metric}
+                                        onChange={(e) => setChart(prev => ({ ...prev, metric: e.target.value, groupBy: e.target.value === 'lines' && prev.groupBy === 'category' ? 'level' : prev.groupBy }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="events">Error events</option>
+                                        <option value="lines">Lines read</option>
+                                    </select>
+                                    <select
+                                        value={chart.groupBy}
+                                        onChange={(e) => setChart(prev => ({ ...prev, groupBy: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">Total</option>
+                                        <option value="server">By server</option>
+                                        <option value="level">By level</option>
+                                        {chart.metric === 'events' && <option value="category">By category</option>}
+                                        <option value="file">By log file</option>
+                                    </select>
+                                    <select
+                                        value={chart.range}
+                                        onChange={(e) => setChart(prev => ({ ...prev, range: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        {Object.keys(CHART_RANGES).map(range => <option key={range} value={range}>Last {range}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <Chart result={series} />
+                        </div>
+
                         {/* Servers */}
                         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
                             {data.servers.map(server => (
-                                <div key={server.id} className="bg-white rounded-lg shadow-sm p-6">
+                                <div key={server.serverId} className="bg-white rounded-lg shadow-sm p-6">
                                     <div className="flex justify-between items-center mb-4">
-                                        <h3 className="font-semibold">{server.name}</h3>
+                                        <h3 className="font-semibold">{server.serverName || server.serverId}</h3>
                                         <span className={\`px-2 py-1 rounded text-xs \${
                                             server.status === 'online' ? 'bg-green-100 text-green-800' :
                                             'bg-red-100 text-red-800'
@@ -549,6 +1582,22 @@ class LogScopeServer {
                                             <p className="text-xs text-gray-500">Warnings</p>
                                         </div>
                                     </div>
+                                    {server.rotations && server.rotations.length > 0 && (
+                                        <p className="mt-4 text-xs text-gray-500 truncate" title={server.rotations[0].logFile}>
+                                            🔄 {server.rotations[0].logFile} {server.rotations[0].reason} at {new Date(server.rotations[0].timestamp).toLocaleString()}
+                                        </p>
+                                    )}
+                                    {server.source === 'syslog' && (
+                                        <p className="mt-4 text-xs text-gray-500 truncate">
+                                            📨 syslog from {server.address}, last message {new Date(server.lastSeen).toLocaleString()}
+                                        </p>
+                                    )}
+                                    {server.shipping && Object.entries(server.shipping).map(([file, policy]) => (
+                                        <p key={file} className="mt-1 text-xs text-gray-500 truncate" title={file}>
+                                            📤 {file}: {policy.minLevel}+
+                                            {Object.entries(policy.sample || {}).filter(([, rate]) => rate < 1).map(([level, rate]) => \`, \${level} \${rate * 100}%\`).join('')}
+                                        </p>
+                                    ))}
                                 </div>
                             ))}
                         </div>
@@ -560,32 +1609,106 @@ class LogScopeServer {
                             </div>
                             <div className="divide-y">
                                 {data.errors.slice(0, 20).map(error => (
-                                    <div key={error.id} className="p-6 hover:bg-gray-50">
+                                    <div key={error.id} className={\`p-6 hover:bg-gray-50 \${error.status === 'resolved' || error.status === 'muted' ? 'opacity-60' : ''}\`}>
                                         <div className="flex justify-between items-start">
                                             <div className="flex-1">
                                                 <div className="flex items-center mb-2">
-                                                    <span className="font-medium">{error.server}</span>
+                                                    <span className="font-medium">{error.serverName || error.serverId}</span>
                                                     <span className="mx-2 text-gray-400">•</span>
                                                     <span className="text-sm text-gray-600">{error.logFile}</span>
                                                     <span className={\`ml-2 px-2 py-1 rounded text-xs font-medium \${getSeverityColor(error.severity)}\`}>
                                                         {error.severity}
                                                     </span>
+                                                    <span className={\`ml-2 px-2 py-1 rounded text-xs \${getStatusColor(error.status)}\`}>
+                                                        {error.status || 'open'}
+                                                        {error.status === 'muted' && error.mutedUntil && \` until \${new Date(error.mutedUntil).toLocaleString()}\`}
+                                                    </span>
+                                                    {error.regression && (
+                                                        <span className="ml-2 px-2 py-1 rounded text-xs bg-yellow-100 text-yellow-800">↩ regression</span>
+                                                    )}
+                                                    {error.assignee && (
+                                                        <span className="ml-2 text-xs text-gray-600">👤 {error.assignee}</span>
+                                                    )}
                                                 </div>
                                                 <p className="text-gray-800 mb-2 font-mono text-sm bg-red-50 p-2 rounded">
                                                     {error.errorMessage}
                                                 </p>
+                                                {error.stack && (
+                                                    <div className="mb-2">
+                                                        <button
+                                                            onClick={() => toggleStack(error.id)}
+                                                            className="text-xs text-blue-600 hover:underline"
+                                                        >
+                                                            {expandedStacks[error.id] ? '▾ Hide stack trace' : \`▸ Show stack trace (\${error.stack.split('\\n').length} lines)\`}
+                                                        </button>
+                                                        {expandedStacks[error.id] && (
+                                                            <pre className="mt-2 text-xs bg-gray-900 text-gray-100 p-3 rounded overflow-x-auto">{error.stack}</pre>
+                                                        )}
+                                                    </div>
+                                                )}
+                                                {error.context && (error.context.before.length > 0 || error.context.after.length > 0) && (
+                                                    <div className="mb-2">
+                                                        <button
+                                                            onClick={() => toggleContext(error.id)}
+                                                            className="text-xs text-blue-600 hover:underline"
+                                                        >
+                                                            {expandedContext[error.id] ? '▾ Hide surrounding lines' : \`▸ Show surrounding lines (\${error.context.before.length} before, \${error.context.after.length} after)\`}
+                                                        </button>
+                                                        {expandedContext[error.id] && (
+                                                            <pre className="mt-2 text-xs bg-gray-900 text-gray-300 p-3 rounded overflow-x-auto">
+                                                                {error.context.before.map(line => \`\${String(line.lineNumber).padStart(6)}  \${line.text}\\n\`).join('')}
+                                                                <span className="text-red-300 font-bold">{\`\${String(error.lineNumber).padStart(6)}  \${error.errorMessage}\\n\`}</span>
+                                                                {error.context.after.map(line => \`\${String(line.lineNumber).padStart(6)}  \${line.text}\\n\`).join('')}
+                                                            </pre>
+                                                        )}
+                                                    </div>
+                                                )}
                                                 <div className="flex items-center text-sm text-gray-500 space-x-4">
                                                     <span>{error.timestamp}</span>
-                                                    <span>Line {error.lineNumber}</span>
-                                                    <span className="bg-gray-100 px-2 py-1 rounded">Count: {error.count}</span>
+                                                    {error.lineNumber && <span>Line {error.lineNumber}</span>}
+                                                    <span className="bg-gray-100 px-2 py-1 rounded">
+                                                        Count: {error.count}
+                                                        {error.estimatedCount > error.count && \` (~\${Math.round(error.estimatedCount)} with sampling)\`}
+                                                    </span>
                                                     <span className="text-blue-600">{error.category}</span>
                                                 </div>
+                                                <div className="flex items-center mt-3 text-xs space-x-3">
+                                                    {error.status !== 'acknowledged' && error.status !== 'resolved' && (
+                                                        <button onClick={() => changeStatus(error, 'acknowledge')} className="text-blue-600 hover:underline">Acknowledge</button>
+                                                    )}
+                                                    {error.status === 'resolved'
+                                                        ? <button onClick={() => changeStatus(error, 'reopen')} className="text-blue-600 hover:underline">Reopen</button>
+                                                        : <button onClick={() => changeStatus(error, 'resolve')} className="text-green-700 hover:underline">Resolve</button>}
+                                                    {error.status === 'muted'
+                                                        ? <button onClick={() => changeStatus(error, 'unmute')} className="text-blue-600 hover:underline">Unmute</button>
+                                                        : <button onClick={() => changeStatus(error, 'mute', { minutes: 60 })} className="text-gray-600 hover:underline">Mute 1h</button>}
+                                                    <button onClick={() => assign(error)} className="text-gray-600 hover:underline">{error.assignee ? 'Reassign' : 'Assign'}</button>
+                                                    {error.history && error.history.length > 0 && (
+                                                        <button onClick={() => toggleHistory(error.id)} className="text-gray-500 hover:underline">
+                                                            {expandedHistory[error.id] ? '▾ Hide history' : \`▸ History (\${error.history.length})\`}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                                {expandedHistory[error.id] && (
+                                                    <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                                                        {error.history.slice().reverse().map((entry, i) => (
+                                                            <li key={i}>
+                                                                {new Date(entry.at).toLocaleString()} — <span className="font-medium">{entry.by}</span> {entry.action}
+                                                                {entry.from !== entry.to && \` (\${entry.from} → \${entry.to})\`}
+                                                                {entry.until && \` until \${new Date(entry.until).toLocaleString()}\`}
+                                                                {entry.assignee !== undefined && \` → \${entry.assignee || 'nobody'}\`}
+                                                                {entry.note && \`: \${entry.note}\`}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
                                             </div>
                                         </div>
                                     </div>
                                 ))}
                             </div>
                         </div>
+                        </>)}
                     </div>
                 </div>
             );
@@ -601,22 +1724,36 @@ class LogScopeServer {
   }
 
   setupWebSocketServer() {
+    // Plain HTTP requests to the WebSocket ports get the same answer ws gives
+    const upgradeRequired = (req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+    };
+
     // WebSocket for dashboard clients
-    this.wss = new WebSocket.Server({ port: this.port + 1 });
-    this.wss.on('connection', (ws) => {
+    this.dashboardWsServer = this.createListener(upgradeRequired);
+    this.wss = new WebSocket.Server({ server: this.dashboardWsServer });
+    this.wss.on('connection', (ws, req) => {
       this.clients.add(ws);
       
       // Send initial data
       ws.send(JSON.stringify({ type: 'servers', data: Array.from(this.agents.values()) }));
-      ws.send(JSON.stringify({ type: 'errors', data: this.store.errors.slice(0, 50) }));
+      ws.send(JSON.stringify({ type: 'errors', data: this.store.recent(50) }));
       ws.send(JSON.stringify({ type: 'insights', data: this.store.insights }));
+      ws.send(JSON.stringify({ type: 'backfill', data: this.backfill(new URL(req.url, 'http://localhost').searchParams.get('since')) }));
       
       ws.on('close', () => this.clients.delete(ws));
     });
 
     // WebSocket for agents
-    this.agentWss = new WebSocket.Server({ port: this.wsPort });
-    this.agentWss.on('connection', (ws) => {
+    this.agentWsServer = this.createListener(upgradeRequired, { clientCerts: true });
+    this.agentWss = new WebSocket.Server({
+      server: this.agentWsServer,
+      verifyClient: (info, done) => this.verifyAgent(info, done)
+    });
+    this.agentWss.on('connection', (ws, req) => {
+      ws.agentKey = req.agentKey || null;
+
       ws.on('message', (message) => {
         try {
           const data = JSON.parse(message);
@@ -632,6 +1769,7 @@ class LogScopeServer {
           if (server.ws === ws) {
             server.status = 'offline';
             server.lastSeen = new Date().toISOString();
+            this.alerts.onServerStatus(server);
             this.broadcast('servers', Array.from(this.agents.values()));
             break;
           }
@@ -640,7 +1778,64 @@ class LogScopeServer {
     });
   }
 
+  // Checked during the WebSocket upgrade, before any message is accepted
+  verifyAgent({ req }, done) {
+    const clientCertsEnabled = Boolean(this.tls && this.tls.ca);
+    if (!this.keyring.enabled && !clientCertsEnabled) return done(true);
+
+    // Mutual TLS: a certificate signed by tls.ca identifies the agent by its CN
+    const certificate = clientCertsEnabled ? this.clientCertificate(req) : null;
+    if (certificate) {
+      req.agentKey = { id: `cert:${certificate.fingerprint256}`, serverId: certificate.subject.CN, source: 'certificate' };
+      return done(true);
+    }
+
+    const key = this.keyring.verify(AgentKeyring.tokenFromRequest(req));
+    if (!key) {
+      console.warn(`🚫 Rejected agent connection from ${req.socket.remoteAddress}: invalid or revoked token`);
+      return done(false, 401, 'Unauthorized');
+    }
+
+    req.agentKey = key;
+    done(true);
+  }
+
+  clientCertificate(req) {
+    if (!req.socket.authorized) return null;
+
+    const certificate = req.socket.getPeerCertificate();
+    return certificate && certificate.subject && certificate.subject.CN ? certificate : null;
+  }
+
+  // A key may only speak for the serverId it is bound to
+  isAuthorized(data, ws) {
+    if (!ws.agentKey) return true;
+
+    const serverId = data.data && data.data.serverId;
+    const allowed = data.type === 'register'
+      ? this.keyring.bind(ws.agentKey, serverId)
+      : ws.agentKey.serverId === serverId;
+
+    if (!allowed) {
+      console.warn(`🚫 Key ${ws.agentKey.id} is not allowed to act as ${serverId}`);
+      ws.close(4003, 'serverId not allowed for this key');
+    }
+
+    return allowed;
+  }
+
   handleAgentMessage(data, ws) {
+    if (!this.isAuthorized(data, ws)) return;
+
+    // Durable messages carry a sequence number - replays we've already seen are only acked
+    if (data.seq !== undefined) {
+      const isNew = this.acceptSequence(data);
+      if (!isNew) {
+        this.acknowledge(ws, data.seq);
+        return;
+      }
+    }
+
     switch (data.type) {
       case 'register':
         this.registerAgent(data.data, ws);
@@ -651,6 +1846,58 @@ class LogScopeServer {
       case 'stats':
         this.updateStats(data.data);
         break;
+      case 'rotation':
+        this.handleRotation(data.data);
+        break;
+    }
+
+    if (data.seq !== undefined) this.acknowledge(ws, data.seq);
+  }
+
+  acceptSequence(data) {
+    const key = `${data.data && data.data.serverId}:${data.stream}`;
+    const lastSeq = this.sequences.get(key) || 0;
+
+    if (data.seq <= lastSeq) return false;
+
+    this.sequences.set(key, data.seq);
+    this.scheduleSequenceSave();
+    return true;
+  }
+
+  // Delivery is at-least-once: a message acked less than a second before a crash
+  // may be replayed by its agent and processed again after the restart
+  loadSequences() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.sequencesPath, 'utf8'));
+      Object.entries(saved).forEach(([key, seq]) => this.sequences.set(key, seq));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️  Cannot read ${this.sequencesPath}:`, error.message);
+    }
+  }
+
+  scheduleSequenceSave() {
+    if (this.sequenceTimer) return;
+    this.sequenceTimer = setTimeout(() => this.saveSequences(), 1000);
+  }
+
+  saveSequences() {
+    if (this.sequenceTimer) clearTimeout(this.sequenceTimer);
+    this.sequenceTimer = null;
+
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      const tmpPath = `${this.sequencesPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.sequences)));
+      fs.renameSync(tmpPath, this.sequencesPath);
+    } catch (error) {
+      console.warn(`⚠️  Cannot save ${this.sequencesPath}:`, error.message);
+    }
+  }
+
+  acknowledge(ws, seq) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'ack', seq }));
     }
   }
 
@@ -661,18 +1908,40 @@ class LogScopeServer {
       errorCount: 0,
       successCount: 0,
       warningCount: 0,
-      registeredAt: new Date().toISOString(),
-      ws: ws
+      keyId: ws.agentKey ? ws.agentKey.id : null,
+      registeredAt: new Date().toISOString()
     };
 
+    // Keep the socket off the JSON we hand to the dashboard and API
+    Object.defineProperty(agent, 'ws', { value: ws, writable: true });
+
     this.agents.set(agentData.serverId, agent);
+    this.alerts.onServerStatus(agent);
     this.broadcast('servers', Array.from(this.agents.values()));
     
     console.log(`✅ Agent registered: ${agentData.serverName}`);
+    Object.entries(agentData.shipping || {}).forEach(([file, policy]) => {
+      const sampled = Object.entries(policy.sample || {}).filter(([, rate]) => rate < 1);
+      if (sampled.length > 0) {
+        console.log(`📉 ${agentData.serverName}: ${file} is sampled (${sampled.map(([level, rate]) => `${level} ${rate * 100}%`).join(', ')}) - counts are estimates`);
+      }
+    });
   }
 
   handleError(errorData) {
+    this.broadcast('newError', this.recordError(errorData));
+    this.publishErrors();
+  }
+
+  // Store one event and update its server; returns the group it landed in
+  recordError(errorData) {
     const error = this.store.addError(errorData);
+    this.timeseries.record('events', {
+      server: errorData.serverId,
+      level: errorData.level || 'ERROR',
+      category: error.category,
+      file: errorData.logFile
+    }, 1, this.eventTime(errorData.timestamp));
     
     // Update agent stats
     const agent = this.agents.get(errorData.serverId);
@@ -681,13 +1950,161 @@ class LogScopeServer {
       agent.lastSeen = new Date().toISOString();
     }
 
-    // Broadcast to dashboard clients
-    this.broadcast('newError', error);
-    this.broadcast('errors', this.store.errors.slice(0, 50));
+    // addError classified the event in place; it only becomes the group when it's new.
+    // Muted groups are still stored and counted, they just don't alert.
+    if (!isMuted(error)) this.alerts.onError(errorData, error === errorData);
+    this.publishEvent(errorData, error);
+    return error;
+  }
+
+  // Events are charted when they happened; unparseable or future timestamps count as now
+  eventTime(timestamp) {
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? Date.now() : Math.min(time, Date.now());
+  }
+
+  // Every incoming event goes to the live tail, before it disappears into its group
+  publishEvent(errorData, group) {
+    const event = {
+      seq: ++this.liveSeq,
+      groupId: group.id,
+      serverId: errorData.serverId,
+      serverName: errorData.serverName,
+      logFile: errorData.logFile,
+      lineNumber: errorData.lineNumber,
+      level: errorData.level || 'ERROR',
+      timestamp: errorData.timestamp,
+      errorMessage: errorData.errorMessage,
+      severity: group.severity,
+      category: group.category
+    };
+
+    this.liveEvents.push(event);
+    if (this.liveEvents.length > LIVE_BACKLOG) this.liveEvents.shift();
+    this.broadcast('event', event);
+  }
+
+  // Live events a dashboard missed since `since`; a fresh (or confused) one gets the latest few
+  backfill(since) {
+    const last = parseInt(since, 10);
+    if (isNaN(last) || last > this.liveSeq) {
+      return { events: this.liveEvents.slice(-LIVE_INITIAL), seq: this.liveSeq, reset: true };
+    }
+
+    const oldest = this.liveEvents.length > 0 ? this.liveEvents[0].seq : this.liveSeq + 1;
+    return {
+      events: this.liveEvents.filter(event => event.seq > last),
+      seq: this.liveSeq,
+      reset: false,
+      complete: oldest <= last + 1 // false when events fell out of the backlog meanwhile
+    };
+  }
+
+  // Once per message or ingest batch rather than once per event
+  publishErrors() {
+    this.broadcast('errors', this.store.recent(50));
     this.broadcast('insights', this.store.insights);
+    this.alerts.onInsights(this.store.insights);
+  }
+
+  // Every sending host becomes a virtual server; levels below syslog.minLevel only count
+  handleSyslog(message) {
+    const host = message.hostname || message.address;
+    const serverId = `syslog:${host}`;
+    const now = new Date().toISOString();
+    let server = this.agents.get(serverId);
+    let changed = false;
+
+    if (!server) {
+      server = {
+        serverId,
+        serverName: host,
+        source: 'syslog',
+        address: message.address,
+        status: 'online',
+        errorCount: 0,
+        successCount: 0,
+        warningCount: 0,
+        registeredAt: now
+      };
+      this.agents.set(serverId, server);
+      this.alerts.onServerStatus(server);
+      console.log(`📨 New syslog source: ${host} (${message.address})`);
+      changed = true;
+    } else if (server.status !== 'online') {
+      server.status = 'online';
+      this.alerts.onServerStatus(server);
+      changed = true;
+    }
+
+    server.lastSeen = now;
+    if (message.level === 'WARN') server.warningCount++;
+    if (message.level === 'INFO' || message.level === 'DEBUG') server.successCount++;
+    this.timeseries.record('lines', { server: serverId, level: message.level, file: `syslog:${message.appName || message.facility}` });
+
+    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+    const minLevel = String(this.config.syslog.minLevel || 'ERROR').toUpperCase();
+    if (levels.indexOf(message.level) >= levels.indexOf(minLevel)) {
+      this.handleError({
+        serverId,
+        serverName: host,
+        logFile: `syslog:${message.appName || message.facility}`,
+        timestamp: message.timestamp.toISOString(),
+        errorMessage: message.message,
+        level: message.level,
+        parser: message.format,
+        metadata: {
+          facility: message.facility,
+          severity: message.severity,
+          appName: message.appName,
+          procId: message.procId,
+          msgId: message.msgId,
+          structuredData: message.structuredData
+        }
+      });
+    }
+
+    if (changed) this.broadcast('servers', Array.from(this.agents.values()));
+  }
+
+  // Syslog hosts have no connection to lose, so silence is what takes them offline
+  checkSyslogHosts(now = Date.now()) {
+    const offlineAfter = (this.config.syslog.offlineAfterMinutes || 5) * 60 * 1000;
+    let changed = false;
+
+    this.agents.forEach(server => {
+      if (server.source !== 'syslog' || server.status !== 'online') return;
+      if (now - new Date(server.lastSeen).getTime() < offlineAfter) return;
+
+      server.status = 'offline';
+      this.alerts.onServerStatus(server);
+      changed = true;
+    });
+
+    if (changed) this.broadcast('servers', Array.from(this.agents.values()));
+  }
+
+  handleRotation(rotationData) {
+    const agent = this.agents.get(rotationData.serverId);
+    if (agent) {
+      // Keep the last few rotations per server for the dashboard
+      agent.rotations = [rotationData, ...(agent.rotations || [])].slice(0, 10);
+      agent.lastSeen = new Date().toISOString();
+      this.broadcast('servers', Array.from(this.agents.values()));
+    }
+
+    this.broadcast('rotation', rotationData);
+    console.log(`🔄 ${rotationData.serverName || rotationData.serverId}: ${rotationData.logFile} ${rotationData.reason}`);
   }
 
   updateStats(statsData) {
+    // Per-file line counts since the agent's previous report (older agents send none)
+    Object.entries(statsData.counts || {}).forEach(([file, levels]) => {
+      Object.entries(levels).forEach(([level, count]) => {
+        this.timeseries.record('lines', { server: statsData.serverId, level, file }, count);
+      });
+    });
+
     const agent = this.agents.get(statsData.serverId);
     if (agent) {
       Object.assign(agent, statsData.stats);
@@ -706,29 +2123,102 @@ class LogScopeServer {
   }
 
   start() {
+    const secure = Boolean(this.tls);
+
+    // Expired errors (and storage segments) are dropped every minute
+    this.retentionTimer = setInterval(() => this.store.enforceRetention(), 60 * 1000);
+    // Old minute buckets are folded into hours, and the counts saved for the next start
+    this.timeseriesTimer = setInterval(() => {
+      this.timeseries.compact();
+      this.timeseries.save();
+    }, 5 * 60 * 1000);
+    this.alerts.start();
+    if (this.syslog) {
+      this.syslog.start();
+      this.syslogTimer = setInterval(() => this.checkSyslogHosts(), 30 * 1000);
+    }
+
+    this.dashboardWsServer.listen(this.port + 1);
+    this.agentWsServer.listen(this.wsPort);
     this.httpServer.listen(this.port, () => {
       console.log(`🔍 LogSV Server Started!`);
-      console.log(`📊 Dashboard: http://localhost:${this.port}`);
-      console.log(`🔌 Agent WebSocket: ws://localhost:${this.wsPort}`);
+      console.log(`📊 Dashboard: ${secure ? 'https' : 'http'}://localhost:${this.port}`);
+      console.log(`🔌 Agent WebSocket: ${secure ? 'wss' : 'ws'}://localhost:${this.wsPort}`);
+      if (!this.keyring.enabled && !(secure && this.tls.ca)) {
+        console.log(`⚠️  Agent authentication is off - set auth.tokens, auth.adminToken or tls.ca for production`);
+      }
       console.log(`💾 Memory usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
       console.log(`⚡ Ultra-lightweight mode: Only 1 dependency (ws)!`);
     });
   }
+
+  stop() {
+    if (this.retentionTimer) clearInterval(this.retentionTimer);
+    if (this.timeseriesTimer) clearInterval(this.timeseriesTimer);
+    this.alerts.stop();
+    if (this.syslog) {
+      clearInterval(this.syslogTimer);
+      this.syslog.stop();
+    }
+
+    this.wss.clients.forEach(client => client.terminate());
+    this.agentWss.clients.forEach(client => client.terminate());
+    this.httpServer.close();
+    this.dashboardWsServer.close();
+    this.agentWsServer.close();
+
+    this.store.close();
+    this.timeseries.save();
+    if (this.sequenceTimer || this.sequences.size) this.saveSequences();
+  }
+}
+
+// CLI interface
+function createServer() {
+  const args = process.argv.slice(2);
+  let config = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    
+    switch (key) {
+      case 'port':
+        config.port = value;
+        break;
+      case 'ws-port':
+        config.wsPort = value;
+        break;
+      case 'config':
+        try {
+          const configFile = require(path.resolve(value));
+          config = { ...configFile, ...config };
+        } catch (error) {
+          console.warn(`⚠️  Config file not found: ${value}`);
+        }
+        break;
+    }
+  }
+
+  const port = parseInt(config.port || process.env.PORT) || 3001;
+  const wsPort = parseInt(config.wsPort || process.env.WS_PORT) || 8080;
+
+  return new LogScopeServer(port, wsPort, config);
 }
 
 // Start server if run directly
 if (require.main === module) {
-  const port = process.env.PORT || 3001;
-  const wsPort = process.env.WS_PORT || 8080;
-  
-  const server = new LogScopeServer(port, wsPort);
+  const server = createServer();
   server.start();
   
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('🛑 Shutting down gracefully...');
+    server.stop();
     process.exit(0);
   });
 }
 
 module.exports = LogScopeServer;
+module.exports.MemoryStore = MemoryStore;
@@ -0,0 +1,88 @@
+// src/server/ingest.js - Records posted to /api/ingest by producers that can't run the agent
+//
+// Bodies are a JSON array (or a single object) or NDJSON. Every record is checked
+// on its own, so one bad line doesn't reject the batch.
+
+const LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+const LEVEL_ALIASES = { WARNING: 'WARN', ERR: 'ERROR', FATAL: 'ERROR', CRITICAL: 'ERROR', TRACE: 'DEBUG' };
+
+const MAX_MESSAGE_LENGTH = 32 * 1024;
+
+// -> [{ index, record }] or [{ index, error }] for NDJSON lines that aren't JSON
+function parseIngestBody(text, contentType = '') {
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (!body) return [];
+
+  // A pretty-printed object spans lines too, so try the whole body as JSON first
+  if (!/ndjson|jsonlines|x-jsonl/i.test(contentType)) {
+    try {
+      const parsed = JSON.parse(body);
+      return (Array.isArray(parsed) ? parsed : [parsed]).map((record, index) => ({ index, record }));
+    } catch (error) {
+      if (!body.includes('\n') || body.startsWith('[')) {
+        throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+      }
+    }
+  }
+
+  return body.split('\n').map((line, index) => {
+    if (!line.trim()) return null;
+    try {
+      return { index, record: JSON.parse(line) };
+    } catch (error) {
+      return { index, error: 'Invalid JSON' };
+    }
+  }).filter(Boolean);
+}
+
+// The error event for one record, or { error } saying what is wrong with it
+function validateRecord(record, key) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Record must be an object' };
+  }
+
+  const message = record.message !== undefined ? record.message : record.errorMessage;
+  if (typeof message !== 'string' || !message.trim()) return { error: 'message is required' };
+  if (message.length > MAX_MESSAGE_LENGTH) return { error: `message is longer than ${MAX_MESSAGE_LENGTH} characters` };
+
+  // A key bound to a serverId can only write as that server
+  const serverId = record.serverId || (key && key.serverId);
+  if (!serverId || typeof serverId !== 'string') return { error: 'serverId is required' };
+  if (key && key.serverId && serverId !== key.serverId) {
+    return { error: `serverId ${serverId} is not allowed for this key` };
+  }
+
+  let timestamp = new Date().toISOString();
+  if (record.timestamp !== undefined) {
+    const date = typeof record.timestamp === 'number' ? new Date(record.timestamp) : new Date(String(record.timestamp));
+    if (isNaN(date.getTime())) return { error: 'timestamp is not a valid date' };
+    timestamp = date.toISOString();
+  }
+
+  let level = 'ERROR';
+  if (record.level !== undefined) {
+    const name = String(record.level).toUpperCase();
+    level = LEVEL_ALIASES[name] || name;
+    if (!LEVELS.includes(level)) return { error: `level must be one of ${LEVELS.join(', ')}` };
+  }
+
+  if (record.metadata !== undefined && (typeof record.metadata !== 'object' || Array.isArray(record.metadata) || record.metadata === null)) {
+    return { error: 'metadata must be an object' };
+  }
+
+  return {
+    event: {
+      serverId,
+      serverName: typeof record.serverName === 'string' ? record.serverName : serverId,
+      logFile: typeof record.logFile === 'string' ? record.logFile : 'ingest',
+      timestamp,
+      errorMessage: message.trim(),
+      level,
+      parser: 'ingest',
+      metadata: record.metadata,
+      stack: typeof record.stack === 'string' ? record.stack : undefined
+    }
+  };
+}
+
+module.exports = { parseIngestBody, validateRecord, LEVELS };
@@ -0,0 +1,90 @@
+// src/server/lifecycle.js - What people have decided about an error group
+//
+// A group is open, acknowledged, resolved or muted (until a time), and may be
+// assigned to someone. Every change lands in group.history with who made it and
+// when; changes the server makes itself (a regression, an expired mute) are by "system".
+
+const STATUSES = ['open', 'acknowledged', 'resolved', 'muted'];
+const MAX_HISTORY = 50;
+
+const invalid = message => Object.assign(new Error(message), { statusCode: 400 });
+
+// Mute until an ISO time, or for a number of minutes
+function muteUntil(options, now) {
+  if (options.minutes !== undefined) {
+    const minutes = Number(options.minutes);
+    if (!(minutes > 0)) throw invalid('minutes must be a positive number');
+    return new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  const until = new Date(options.until);
+  if (options.until === undefined || isNaN(until.getTime())) throw invalid('mute needs until (a date) or minutes');
+  if (until <= now) throw invalid('until must be in the future');
+  return until;
+}
+
+// action -> fields it changes (and extra details for the history entry)
+const ACTIONS = {
+  acknowledge: () => ({ status: 'acknowledged' }),
+  resolve: (group, options, now) => ({ status: 'resolved', resolvedAt: now.toISOString(), regression: false }),
+  reopen: () => ({ status: 'open' }),
+  mute: (group, options, now) => ({ status: 'muted', mutedUntil: muteUntil(options, now).toISOString() }),
+  unmute: () => ({ status: 'open', mutedUntil: null }),
+  assign: (group, options) => {
+    const assignee = options.assignee === undefined || options.assignee === '' ? null : options.assignee;
+    if (assignee !== null && typeof assignee !== 'string') throw invalid('assignee must be a string (or null to unassign)');
+    return { assignee };
+  }
+};
+
+function record(group, entry) {
+  group.history = [...(group.history || []), entry].slice(-MAX_HISTORY);
+  return entry;
+}
+
+// Applies one action for `options.by`; throws a 400 error for bad input
+function applyAction(group, action, options = {}, now = new Date()) {
+  if (!ACTIONS[action]) throw invalid(`Unknown action "${action}" (expected one of ${Object.keys(ACTIONS).join(', ')})`);
+  if (!options.by || typeof options.by !== 'string') throw invalid('by is required - who is making the change');
+
+  const changes = ACTIONS[action](group, options, now);
+  const from = group.status || 'open';
+  Object.assign(group, changes);
+  if (changes.status && changes.status !== 'muted') group.mutedUntil = null;
+
+  return record(group, {
+    action,
+    by: options.by,
+    at: now.toISOString(),
+    from,
+    to: group.status || 'open',
+    ...(changes.mutedUntil ? { until: changes.mutedUntil } : {}),
+    ...('assignee' in changes ? { assignee: changes.assignee } : {}),
+    ...(options.note ? { note: String(options.note) } : {})
+  });
+}
+
+function isMuted(group, now = Date.now()) {
+  return group.status === 'muted' && Boolean(group.mutedUntil) && new Date(group.mutedUntil).getTime() > now;
+}
+
+// Called for every new occurrence: a resolved group reopens as a regression and an
+// expired mute lifts. Returns the history entry, if anything changed.
+function onOccurrence(group, now = new Date()) {
+  if (group.status === 'resolved') {
+    group.status = 'open';
+    group.regression = true;
+    group.regressedAt = now.toISOString();
+    return record(group, { action: 'regressed', by: 'system', at: now.toISOString(), from: 'resolved', to: 'open' });
+  }
+
+  if (group.status === 'muted' && !isMuted(group, now.getTime())) {
+    group.status = 'open';
+    group.mutedUntil = null;
+    return record(group, { action: 'unmute', by: 'system', at: now.toISOString(), from: 'muted', to: 'open' });
+  }
+
+  return null;
+}
+
+module.exports = { STATUSES, ACTIONS, applyAction, isMuted, onOccurrence };
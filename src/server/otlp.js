@@ -0,0 +1,232 @@
+// src/server/otlp.js - OpenTelemetry logs (OTLP/HTTP, JSON or protobuf) as ingest records
+//
+// Protobuf bodies are decoded into the same shape as OTLP JSON, so there is one
+// mapping from log records to LogSV events.
+
+// Field number -> [name, type, repeated]; nested messages reference another schema
+const ANY_VALUE = {};
+const KEY_VALUE = { 1: ['key', 'string'], 2: ['value', ANY_VALUE] };
+Object.assign(ANY_VALUE, {
+  1: ['stringValue', 'string'],
+  2: ['boolValue', 'bool'],
+  3: ['intValue', 'int64'],
+  4: ['doubleValue', 'double'],
+  5: ['arrayValue', { 1: ['values', ANY_VALUE, true] }],
+  6: ['kvlistValue', { 1: ['values', KEY_VALUE, true] }],
+  7: ['bytesValue', 'bytes']
+});
+
+const LOG_RECORD = {
+  1: ['timeUnixNano', 'fixed64'],
+  11: ['observedTimeUnixNano', 'fixed64'],
+  2: ['severityNumber', 'uint'],
+  3: ['severityText', 'string'],
+  5: ['body', ANY_VALUE],
+  6: ['attributes', KEY_VALUE, true],
+  9: ['traceId', 'hex'],
+  10: ['spanId', 'hex'],
+  12: ['eventName', 'string']
+};
+
+const EXPORT_LOGS_REQUEST = {
+  1: ['resourceLogs', {
+    1: ['resource', { 1: ['attributes', KEY_VALUE, true] }],
+    2: ['scopeLogs', {
+      1: ['scope', { 1: ['name', 'string'], 2: ['version', 'string'], 3: ['attributes', KEY_VALUE, true] }],
+      2: ['logRecords', LOG_RECORD, true]
+    }, true]
+  }, true]
+};
+
+function readVarint(buffer, state) {
+  let value = 0n;
+  let shift = 0n;
+
+  for (;;) {
+    if (state.offset >= buffer.length) throw new Error('Truncated protobuf varint');
+    const byte = buffer[state.offset++];
+    value |= BigInt(byte & 0x7f) << shift;
+    if (byte < 0x80) return value;
+    shift += 7n;
+    if (shift > 63n) throw new Error('Protobuf varint is too long');
+  }
+}
+
+function take(buffer, state, length) {
+  if (state.offset + length > buffer.length) throw new Error('Truncated protobuf message');
+  const slice = buffer.subarray(state.offset, state.offset + length);
+  state.offset += length;
+  return slice;
+}
+
+function decodeMessage(buffer, schema) {
+  const message = {};
+  const state = { offset: 0 };
+
+  while (state.offset < buffer.length) {
+    const tag = Number(readVarint(buffer, state));
+    const field = schema[tag >> 3];
+    const wireType = tag & 7;
+
+    let raw;
+    if (wireType === 0) raw = readVarint(buffer, state);
+    else if (wireType === 1) raw = take(buffer, state, 8);
+    else if (wireType === 2) raw = take(buffer, state, Number(readVarint(buffer, state)));
+    else if (wireType === 5) raw = take(buffer, state, 4);
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+
+    if (!field) continue; // Unknown fields are skipped, as protobuf requires
+
+    const [name, type, repeated] = field;
+    const value = decodeValue(raw, type);
+    if (repeated) {
+      (message[name] = message[name] || []).push(value);
+    } else {
+      message[name] = value;
+    }
+  }
+
+  return message;
+}
+
+function decodeValue(raw, type) {
+  if (typeof type === 'object') return decodeMessage(raw, type);
+
+  switch (type) {
+    case 'string': return raw.toString('utf8');
+    case 'bytes': return raw.toString('base64');
+    case 'hex': return raw.toString('hex');
+    case 'bool': return raw !== 0n;
+    case 'uint': return Number(raw);
+    case 'int64': return BigInt.asIntN(64, raw).toString();
+    case 'fixed64': return raw.readBigUInt64LE(0).toString();
+    case 'double': return raw.readDoubleLE(0);
+    default: throw new Error(`Unknown protobuf type ${type}`);
+  }
+}
+
+function decodeLogsRequest(buffer) {
+  return decodeMessage(buffer, EXPORT_LOGS_REQUEST);
+}
+
+// ExportLogsServiceResponse { partial_success { rejected_log_records, error_message } }
+function encodeLogsResponse(rejected, errorMessage) {
+  if (!rejected) return Buffer.alloc(0);
+
+  const partial = Buffer.concat([
+    Buffer.from([0x08]), encodeVarint(rejected),
+    Buffer.from([0x12]), encodeBytes(Buffer.from(errorMessage, 'utf8'))
+  ]);
+  return Buffer.concat([Buffer.from([0x0a]), encodeBytes(partial)]);
+}
+
+// google.rpc.Status { code, message }, the body OTLP expects with error responses
+function encodeStatus(code, message) {
+  return Buffer.concat([Buffer.from([0x08]), encodeVarint(code), Buffer.from([0x12]), encodeBytes(Buffer.from(message, 'utf8'))]);
+}
+
+function encodeVarint(value) {
+  const bytes = [];
+  let rest = value;
+  while (rest > 0x7f) {
+    bytes.push((rest & 0x7f) | 0x80);
+    rest = Math.floor(rest / 128);
+  }
+  bytes.push(rest);
+  return Buffer.from(bytes);
+}
+
+function encodeBytes(buffer) {
+  return Buffer.concat([encodeVarint(buffer.length), buffer]);
+}
+
+// AnyValue -> plain JavaScript value
+function anyValue(value) {
+  if (!value || typeof value !== 'object') return value;
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return value.doubleValue;
+  if ('bytesValue' in value) return value.bytesValue;
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(anyValue);
+  if ('kvlistValue' in value) return attributes(value.kvlistValue.values);
+  return null;
+}
+
+function attributes(list = []) {
+  const result = {};
+  list.forEach(({ key, value }) => {
+    result[key] = anyValue(value);
+  });
+  return result;
+}
+
+// SeverityNumber ranges: TRACE 1-4, DEBUG 5-8, INFO 9-12, WARN 13-16, ERROR 17-20, FATAL 21-24
+function levelFor(record) {
+  const number = record.severityNumber;
+  if (number >= 17) return 'ERROR';
+  if (number >= 13) return 'WARN';
+  if (number >= 9) return 'INFO';
+  if (number >= 1) return 'DEBUG';
+
+  const text = record.severityText || '';
+  if (/^(fatal|crit|emerg|alert|err)/i.test(text)) return 'ERROR';
+  if (/^warn/i.test(text)) return 'WARN';
+  if (/^(debug|trace)/i.test(text)) return 'DEBUG';
+  return 'INFO';
+}
+
+// OTLP JSON carries ids as hex, but some exporters send base64
+function traceIdFrom(id, length) {
+  if (!id) return undefined;
+  if (new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(id)) return id.toLowerCase();
+  const decoded = Buffer.from(id, 'base64');
+  return decoded.length * 2 === length ? decoded.toString('hex') : id;
+}
+
+function nanosToMillis(nanos) {
+  if (!nanos || nanos === '0') return undefined;
+  return Number(BigInt(nanos) / 1000000n);
+}
+
+// ExportLogsServiceRequest -> records in the shape /api/ingest accepts
+function recordsFromRequest(request) {
+  const records = [];
+
+  ((request && request.resourceLogs) || []).forEach(resourceLogs => {
+    const resource = attributes(resourceLogs.resource && resourceLogs.resource.attributes);
+    const service = resource['service.name'];
+    const host = resource['host.name'] || resource['service.instance.id'];
+
+    (resourceLogs.scopeLogs || []).forEach(scopeLogs => {
+      const scope = scopeLogs.scope || {};
+
+      (scopeLogs.logRecords || []).forEach(record => {
+        const attrs = attributes(record.attributes);
+        const body = anyValue(record.body);
+
+        records.push({
+          serverId: host || service,
+          serverName: service && host ? `${service} (${host})` : host || service,
+          logFile: `otlp:${service || scope.name || 'unknown'}`,
+          timestamp: nanosToMillis(record.timeUnixNano) || nanosToMillis(record.observedTimeUnixNano),
+          message: typeof body === 'string' ? body : body === undefined ? attrs['exception.message'] : JSON.stringify(body),
+          level: levelFor(record),
+          stack: attrs['exception.stacktrace'],
+          metadata: {
+            traceId: traceIdFrom(record.traceId, 32),
+            spanId: traceIdFrom(record.spanId, 16),
+            service,
+            scope: scope.name,
+            resource,
+            attributes: attrs
+          }
+        });
+      });
+    });
+  });
+
+  return records;
+}
+
+module.exports = { decodeLogsRequest, encodeLogsResponse, encodeStatus, recordsFromRequest };
@@ -0,0 +1,371 @@
+// src/server/query.js - Structured query language for /api/errors
+//
+//   severity:critical AND server:web-* AND NOT category:"Network Issues" AND message:/timed? out/
+//   urgency:>=7 OR count>100
+//   severity:(critical OR high) -trend:decreasing
+//   state:open assignee:ana
+//
+// Terms next to each other are ANDed; NOT (or a leading "-") negates; parentheses group.
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const FIELDS = {
+  severity: { get: e => e.severity },
+  server: { get: e => [e.serverId, e.serverName, e.server] },
+  category: { get: e => e.category },
+  message: { get: e => e.errorMessage, contains: true },
+  file: { get: e => e.logFile },
+  logfile: { get: e => e.logFile },
+  trend: { get: e => e.trend },
+  parser: { get: e => e.parser },
+  level: { get: e => e.level },
+  id: { get: e => e.id },
+  // Lifecycle status - "status" is already the HTTP status of access-log events
+  state: { get: e => e.status || 'open' },
+  assignee: { get: e => e.assignee },
+  urgency: { get: e => e.urgency, numeric: true },
+  count: { get: e => e.count, numeric: true },
+  // Access-log and logfmt events carry the parsed request
+  method: { get: e => e.request && e.request.method },
+  path: { get: e => e.request && e.request.path },
+  status: { get: e => e.request && e.request.status, numeric: true },
+  latency: { get: e => e.request && e.request.latency, numeric: true }
+};
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+
+// Cheap check used to decide between this and natural language search
+function isStructuredQuery(query) {
+  const fieldNames = Object.keys(FIELDS).join('|');
+  return new RegExp(`(^|[\\s(!-])(${fieldNames}):|(${fieldNames})\\s*[<>=]`, 'i').test(query) ||
+    /(^|\s)(AND|OR|NOT)(\s|$)/.test(query) ||
+    /(^|\s)\/.+\/[a-z]*(\s|$)/.test(query);
+}
+
+// "/timed? out/i" -> { source, flags, end } when the closing slash and flags end the token;
+// anything else starting with a slash ("/var/log/app.log") is an ordinary word
+function readRegex(query, start) {
+  let i = start + 1;
+  let source = '';
+  while (i < query.length && query[i] !== '/') {
+    if (query[i] === '\\' && i + 1 < query.length) source += query[i++];
+    source += query[i++];
+  }
+  if (i >= query.length) return null;
+  i++;
+
+  let flags = '';
+  while (i < query.length && /[dgimsuy]/.test(query[i])) flags += query[i++];
+  if (i < query.length && !/[\s()]/.test(query[i])) return null;
+
+  return { source, flags, end: i };
+}
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        if (query[i] === '\\' && i + 1 < query.length) i++;
+        value += query[i++];
+      }
+      if (i >= query.length) throw new QuerySyntaxError('Unterminated quoted phrase', start);
+      tokens.push({ type: 'phrase', value, position: start });
+      i++;
+      continue;
+    }
+
+    const regex = char === '/' && readRegex(query, i);
+    if (regex) {
+      try {
+        // "g" and "y" would make test() stateful across errors
+        tokens.push({ type: 'regex', value: new RegExp(regex.source, regex.flags.replace(/[gy]/g, '')), position: i });
+      } catch (error) {
+        throw new QuerySyntaxError(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`, i);
+      }
+      i = regex.end;
+      continue;
+    }
+
+    const comparator = COMPARATORS.find(op => query.startsWith(op, i));
+    if (comparator) {
+      tokens.push({ type: 'comparator', value: comparator, position: i });
+      i += comparator.length;
+      continue;
+    }
+
+    if (char === ':') {
+      tokens.push({ type: ':', position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '!' || (char === '-' && /\S/.test(query[i + 1] || ''))) {
+      // Leading "-" / "!" is negation; "web-1" is read as one word and never gets here
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let word = '';
+    while (i < query.length && !/[\s():"<>=]/.test(query[i])) word += query[i++];
+
+    if (['AND', 'OR', 'NOT'].includes(word)) {
+      tokens.push({ type: word, position: start });
+    } else if (word === '&&' || word === '||') {
+      tokens.push({ type: word === '&&' ? 'AND' : 'OR', position: start });
+    } else {
+      tokens.push({ type: 'word', value: word, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+class QueryParser {
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) return { type: 'all' };
+
+    const ast = this.parseOr(null);
+    const extra = this.peek();
+    if (extra) throw new QuerySyntaxError(`Unexpected ${this.describe(extra)}`, extra.position);
+
+    return ast;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  describe(token) {
+    if (token.type === 'word' || token.type === 'comparator') return `"${token.value}"`;
+    if (token.type === 'phrase') return `phrase "${token.value}"`;
+    if (token.type === 'regex') return 'regular expression';
+    return `"${token.type}"`;
+  }
+
+  endPosition() {
+    return this.query.length;
+  }
+
+  parseOr(field) {
+    let left = this.parseAnd(field);
+
+    while (this.peek() && this.peek().type === 'OR') {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd(field) };
+    }
+
+    return left;
+  }
+
+  parseAnd(field) {
+    let left = this.parseNot(field);
+
+    for (;;) {
+      const token = this.peek();
+      if (!token || token.type === 'OR' || token.type === ')') break;
+      if (token.type === 'AND') this.next();
+
+      left = { type: 'and', left, right: this.parseNot(field) };
+    }
+
+    return left;
+  }
+
+  parseNot(field) {
+    const token = this.peek();
+    if (token && token.type === 'NOT') {
+      this.next();
+      return { type: 'not', operand: this.parseNot(field) };
+    }
+
+    return this.parsePrimary(field);
+  }
+
+  parsePrimary(field) {
+    const token = this.next();
+    if (!token) throw new QuerySyntaxError('Unexpected end of query', this.endPosition());
+
+    if (token.type === '(') {
+      const inner = this.parseOr(field);
+      const closing = this.next();
+      if (!closing || closing.type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis', closing ? closing.position : this.endPosition());
+      }
+      return inner;
+    }
+
+    // field:value, field:>5, field>5
+    const following = this.peek();
+    if (!field && token.type === 'word' && following && (following.type === ':' || following.type === 'comparator')) {
+      return this.parseField(token);
+    }
+
+    return this.parseValue(token, field);
+  }
+
+  parseField(nameToken) {
+    const name = nameToken.value.toLowerCase();
+    const definition = FIELDS[name];
+    if (!definition) {
+      throw new QuerySyntaxError(`Unknown field "${nameToken.value}" (expected one of ${Object.keys(FIELDS).join(', ')})`, nameToken.position);
+    }
+
+    const field = { name, ...definition };
+    let separator = this.next();
+
+    if (separator.type === ':' && this.peek() && this.peek().type === 'comparator') {
+      separator = this.next();
+    }
+
+    if (separator.type === 'comparator') {
+      return this.parseComparison(field, separator);
+    }
+
+    const value = this.peek();
+    if (!value) throw new QuerySyntaxError(`Missing value for "${name}"`, this.endPosition());
+
+    // severity:(critical OR high)
+    if (value.type === '(') return this.parsePrimary(field);
+
+    return this.parseValue(this.next(), field);
+  }
+
+  parseComparison(field, comparator) {
+    const value = this.next();
+    if (!field.numeric) {
+      throw new QuerySyntaxError(`"${field.name}" does not support ${comparator.value} comparisons`, comparator.position);
+    }
+    if (!value || value.type !== 'word' || isNaN(Number(value.value))) {
+      throw new QuerySyntaxError(`Expected a number after ${comparator.value}`, value ? value.position : this.endPosition());
+    }
+
+    return { type: 'compare', field, operator: comparator.value, value: Number(value.value) };
+  }
+
+  parseValue(token, field) {
+    if (token.type === 'regex') return { type: 'regex', field, value: token.value };
+    if (token.type === 'phrase') return { type: 'text', field, value: token.value, wildcard: false };
+    if (token.type === 'word') {
+      if (field && field.numeric) {
+        if (isNaN(Number(token.value))) {
+          throw new QuerySyntaxError(`Expected a number for "${field.name}"`, token.position);
+        }
+        return { type: 'compare', field, operator: '=', value: Number(token.value) };
+      }
+      return { type: 'text', field, value: token.value, wildcard: /[*?]/.test(token.value) };
+    }
+
+    throw new QuerySyntaxError(`Unexpected ${this.describe(token)}`, token.position);
+  }
+}
+
+function wildcardToRegExp(value) {
+  const source = value
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Values a term is checked against - free text looks at message, server and category
+function valuesFor(field, error) {
+  const raw = field ? field.get(error) : [error.errorMessage, error.serverId, error.serverName, error.category];
+  return (Array.isArray(raw) ? raw : [raw]).filter(value => value !== undefined && value !== null).map(String);
+}
+
+function compile(node) {
+  switch (node.type) {
+    case 'all':
+      return () => true;
+    case 'and': {
+      const left = compile(node.left);
+      const right = compile(node.right);
+      return error => left(error) && right(error);
+    }
+    case 'or': {
+      const left = compile(node.left);
+      const right = compile(node.right);
+      return error => left(error) || right(error);
+    }
+    case 'not': {
+      const operand = compile(node.operand);
+      return error => !operand(error);
+    }
+    case 'regex':
+      return error => valuesFor(node.field, error).some(value => node.value.test(value));
+    case 'compare':
+      return error => {
+        const value = Number(node.field.get(error));
+        if (isNaN(value)) return false;
+        switch (node.operator) {
+          case '>': return value > node.value;
+          case '>=': return value >= node.value;
+          case '<': return value < node.value;
+          case '<=': return value <= node.value;
+          default: return value === node.value;
+        }
+      };
+    case 'text': {
+      if (node.wildcard) {
+        const regex = wildcardToRegExp(node.value);
+        return error => valuesFor(node.field, error).some(value => regex.test(value));
+      }
+
+      const needle = node.value.toLowerCase();
+      // Named fields match whole values; message and free text match substrings
+      const contains = !node.field || node.field.contains;
+      return error => valuesFor(node.field, error).some(value =>
+        contains ? value.toLowerCase().includes(needle) : value.toLowerCase() === needle
+      );
+    }
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+function parseQuery(query) {
+  return new QueryParser(query).parse();
+}
+
+function compileQuery(query) {
+  return compile(parseQuery(query));
+}
+
+module.exports = { parseQuery, compile, compileQuery, isStructuredQuery, QuerySyntaxError, FIELDS };
@@ -0,0 +1,135 @@
+// src/server/searchindex.js - In-process token and field index over error groups
+//
+// The index only narrows the groups worth looking at; MemoryStore still runs the
+// real filter on every candidate, so search results are exactly what a full scan
+// would return.
+
+// Same rule for indexed text and query text, so a substring match in a field
+// always shows up as a substring match between tokens
+const TOKEN_SPLIT = /[^\p{L}\p{N}_]+/u;
+
+const TEXT_FIELDS = ['errorMessage', 'serverId', 'serverName', 'server', 'category'];
+const EXACT_FIELDS = ['severity', 'category'];
+
+function tokenize(text) {
+  return String(text).toLowerCase().split(TOKEN_SPLIT).filter(Boolean);
+}
+
+class SearchIndex {
+  constructor() {
+    this.tokens = new Map(); // token -> Set of groups
+    this.fields = new Map(EXACT_FIELDS.map(field => [field, new Map()])); // field -> value -> Set of groups
+    this.sequence = new Map(); // group -> insertion number, for newest-first ordering
+    this.nextSequence = 0;
+  }
+
+  get size() {
+    return this.sequence.size;
+  }
+
+  groupTokens(group) {
+    const tokens = new Set();
+    TEXT_FIELDS.forEach(field => {
+      if (group[field]) tokenize(group[field]).forEach(token => tokens.add(token));
+    });
+    return tokens;
+  }
+
+  add(group) {
+    this.sequence.set(group, this.nextSequence++);
+
+    this.groupTokens(group).forEach(token => addTo(this.tokens, token, group));
+    EXACT_FIELDS.forEach(field => {
+      if (group[field]) addTo(this.fields.get(field), String(group[field]).toLowerCase(), group);
+    });
+  }
+
+  remove(group) {
+    if (!this.sequence.delete(group)) return;
+
+    this.groupTokens(group).forEach(token => removeFrom(this.tokens, token, group));
+    EXACT_FIELDS.forEach(field => {
+      if (group[field]) removeFrom(this.fields.get(field), String(group[field]).toLowerCase(), group);
+    });
+  }
+
+  // Groups whose text could contain `text` as a substring
+  textCandidates(text) {
+    const queryTokens = tokenize(text);
+    if (queryTokens.length === 0) return null;
+
+    return intersectAll(queryTokens.map(queryToken => {
+      const exact = this.tokens.get(queryToken);
+      const matches = new Set(exact || []);
+
+      // "time" has to find groups indexed under "timeout" too
+      for (const [token, groups] of this.tokens) {
+        if (token !== queryToken && token.includes(queryToken)) groups.forEach(group => matches.add(group));
+      }
+      return matches;
+    }));
+  }
+
+  fieldCandidates(field, value) {
+    return this.fields.get(field).get(String(value).toLowerCase()) || new Set();
+  }
+
+  // Candidate set for a parsed structured query, or null when it can't narrow things
+  plan(node) {
+    switch (node.type) {
+      case 'and': {
+        const left = this.plan(node.left);
+        const right = this.plan(node.right);
+        if (!left) return right;
+        if (!right) return left;
+        return intersectAll([left, right]);
+      }
+      case 'or': {
+        const left = this.plan(node.left);
+        const right = this.plan(node.right);
+        if (!left || !right) return null;
+        return new Set([...left, ...right]);
+      }
+      case 'text': {
+        if (node.wildcard) return null;
+
+        const name = node.field ? node.field.name : null;
+        if (name === 'severity' || name === 'category') return this.fieldCandidates(name, node.value);
+        if (!name || name === 'message' || name === 'server') return this.textCandidates(node.value);
+        return null;
+      }
+      default:
+        // NOT, regexes and numeric comparisons need the full scan
+        return null;
+    }
+  }
+
+  // Candidates in the order they were added, newest first
+  newestFirst(candidates) {
+    return Array.from(candidates).sort((a, b) => this.sequence.get(b) - this.sequence.get(a));
+  }
+}
+
+function addTo(map, key, group) {
+  const groups = map.get(key);
+  if (groups) {
+    groups.add(group);
+  } else {
+    map.set(key, new Set([group]));
+  }
+}
+
+function removeFrom(map, key, group) {
+  const groups = map.get(key);
+  if (!groups) return;
+
+  groups.delete(group);
+  if (groups.size === 0) map.delete(key);
+}
+
+function intersectAll(sets) {
+  const [smallest, ...others] = sets.slice().sort((a, b) => a.size - b.size);
+  return new Set(Array.from(smallest).filter(group => others.every(set => set.has(group))));
+}
+
+module.exports = { SearchIndex, tokenize };
@@ -0,0 +1,279 @@
+// src/server/storage.js - Pluggable storage backends for MemoryStore
+const fs = require('fs');
+const path = require('path');
+
+// Nothing survives a restart - the original behaviour, still handy for dev and tests
+class MemoryBackend {
+  load() {
+    return [];
+  }
+
+  append() {}
+
+  prune() {}
+
+  close() {}
+}
+
+// Append-only segment files plus index.json (the list of segments), all under
+// <dataDir>/errors. Every write is the full error group, so replaying segments
+// in order (last write wins) rebuilds the store, and dropping an old segment
+// only forgets groups that haven't been touched since it was written.
+//
+// Changed groups are collected and written together every flushIntervalMs, so a
+// group that repeats a thousand times in a second is written once. A segment
+// that rolls is compacted to the last write of each group in the background.
+class SegmentBackend {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.segmentMaxBytes = options.segmentMaxBytes || 8 * 1024 * 1024;
+    this.segmentMaxAge = (options.segmentMaxAgeMinutes || 60) * 60 * 1000;
+    this.flushInterval = options.flushIntervalMs || 1000;
+    this.dirty = new Map(); // id -> group changed since the last flush
+    this.flushTimer = null;
+    this.compacting = Promise.resolve(); // Compactions of rolled segments, one at a time
+    this.segments = [];
+    this.active = null;
+    this.fd = null;
+    this.indexTimer = null;
+  }
+
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    // A compaction interrupted by a restart
+    fs.readdirSync(this.dir).filter(file => file.endsWith('.ndjson.tmp')).forEach(file => fs.unlinkSync(path.join(this.dir, file)));
+    this.segments = this.readIndex();
+
+    const groups = new Map();
+    this.segments.forEach(segment => {
+      const errors = this.readSegment(segment);
+      errors.forEach(error => groups.set(error.id, error));
+      // Left active by the previous run
+      if (!segment.compacted) this.compactSegment(segment, errors);
+    });
+    this.writeIndex();
+
+    console.log(`💾 Loaded ${groups.size} error groups from ${this.segments.length} segments in ${this.dir}`);
+    return Array.from(groups.values());
+  }
+
+  readIndex() {
+    let indexed = [];
+    try {
+      indexed = JSON.parse(fs.readFileSync(this.indexPath, 'utf8')).segments || [];
+    } catch (error) {
+      // Missing or damaged index - rebuilt from the segment files below
+    }
+
+    const known = new Map(indexed.map(segment => [segment.file, segment]));
+    const files = fs.readdirSync(this.dir).filter(file => /^segment-\d+\.ndjson$/.test(file)).sort();
+
+    // Segments written after the last index flush (e.g. a crash) are rebuilt from disk
+    return files.map(file => known.get(file) || this.describeSegment(file));
+  }
+
+  describeSegment(file) {
+    const stats = fs.statSync(path.join(this.dir, file));
+    return {
+      file,
+      createdAt: parseInt(file.match(/\d+/)[0], 10),
+      lastWriteAt: stats.mtimeMs,
+      bytes: stats.size
+    };
+  }
+
+  readSegment(segment) {
+    try {
+      return parseSegment(fs.readFileSync(path.join(this.dir, segment.file), 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Cannot read segment ${segment.file}:`, error.message);
+      return [];
+    }
+  }
+
+  // Nothing touches the disk here - the group is written as it is at the next flush
+  append(error) {
+    this.dirty.delete(error.id);
+    this.dirty.set(error.id, error);
+    if (!this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+  }
+
+  flush() {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.dirty.size === 0) return;
+
+    const content = Array.from(this.dirty.values()).map(error => JSON.stringify(error) + '\n').join('');
+    const bytes = Buffer.byteLength(content);
+    this.dirty.clear();
+
+    try {
+      const segment = this.activeSegment(bytes);
+      fs.writeSync(this.fd, content);
+      segment.bytes += bytes;
+      segment.lastWriteAt = Date.now();
+      segment.compacted = false;
+    } catch (error) {
+      console.warn(`⚠️  Cannot write to storage segment in ${this.dir}:`, error.message);
+    }
+
+    this.scheduleIndexWrite();
+  }
+
+  activeSegment(incomingBytes) {
+    const now = Date.now();
+    const full = this.active && (
+      this.active.bytes + incomingBytes > this.segmentMaxBytes ||
+      now - this.active.createdAt > this.segmentMaxAge
+    );
+
+    if (this.active && !full) return this.active;
+
+    if (this.active) {
+      const rolled = this.active;
+      this.closeSegment();
+      this.compacting = this.compacting.then(() => this.compactRolled(rolled));
+    }
+
+    // Timestamped names keep segments in write order
+    let createdAt = now;
+    while (this.segments.some(segment => segment.createdAt === createdAt)) createdAt++;
+
+    this.active = { file: `segment-${createdAt}.ndjson`, createdAt, lastWriteAt: now, bytes: 0 };
+    this.segments.push(this.active);
+    this.fd = fs.openSync(path.join(this.dir, this.active.file), 'a');
+
+    return this.active;
+  }
+
+  // At load time, with the segment already read
+  compactSegment(segment, errors) {
+    const filePath = path.join(this.dir, segment.file);
+    const content = latestWrites(errors);
+
+    try {
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, content);
+      fs.renameSync(tmpPath, filePath);
+      segment.bytes = Buffer.byteLength(content);
+      segment.compacted = true;
+    } catch (error) {
+      console.warn(`⚠️  Cannot compact segment ${segment.file}:`, error.message);
+    }
+  }
+
+  // A rolled segment is never written again, so it can be rewritten off the write path
+  async compactRolled(segment) {
+    const filePath = path.join(this.dir, segment.file);
+    const tmpPath = `${filePath}.tmp`;
+
+    try {
+      const content = latestWrites(parseSegment(await fs.promises.readFile(filePath, 'utf8')));
+      await fs.promises.writeFile(tmpPath, content);
+
+      // Dropped by retention in the meantime - don't bring it back
+      if (!this.segments.includes(segment)) {
+        fs.unlinkSync(tmpPath);
+        return;
+      }
+
+      fs.renameSync(tmpPath, filePath);
+      segment.bytes = Buffer.byteLength(content);
+      segment.compacted = true;
+      this.scheduleIndexWrite();
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️  Cannot compact segment ${segment.file}:`, error.message);
+    }
+  }
+
+  closeSegment() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+    this.active = null;
+  }
+
+  prune(cutoff) {
+    const expired = this.segments.filter(segment => segment !== this.active && segment.lastWriteAt < cutoff);
+    if (expired.length === 0) return;
+
+    expired.forEach(segment => {
+      try {
+        fs.unlinkSync(path.join(this.dir, segment.file));
+      } catch (error) {
+        console.warn(`⚠️  Cannot remove segment ${segment.file}:`, error.message);
+      }
+    });
+
+    this.segments = this.segments.filter(segment => !expired.includes(segment));
+    this.writeIndex();
+
+    console.log(`🧹 Dropped ${expired.length} expired storage segments`);
+  }
+
+  scheduleIndexWrite() {
+    if (this.indexTimer) return;
+    this.indexTimer = setTimeout(() => this.writeIndex(), 1000);
+  }
+
+  writeIndex() {
+    if (this.indexTimer) clearTimeout(this.indexTimer);
+    this.indexTimer = null;
+
+    try {
+      const tmpPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ segments: this.segments }));
+      fs.renameSync(tmpPath, this.indexPath);
+    } catch (error) {
+      console.warn(`⚠️  Cannot write storage index ${this.indexPath}:`, error.message);
+    }
+  }
+
+  close() {
+    this.flush();
+    this.writeIndex();
+    this.closeSegment();
+  }
+}
+
+function parseSegment(text) {
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Torn write from a crash
+      }
+    })
+    .filter(Boolean);
+}
+
+// Only the last write of each group, in write order
+function latestWrites(errors) {
+  const latest = new Map();
+  errors.forEach(error => {
+    latest.delete(error.id);
+    latest.set(error.id, error);
+  });
+  return Array.from(latest.values()).map(error => JSON.stringify(error) + '\n').join('');
+}
+
+function createStorageBackend(config = {}, dataDir) {
+  switch (config.type || 'file') {
+    case 'memory':
+      return new MemoryBackend();
+    case 'file':
+      return new SegmentBackend({
+        dir: config.dir || path.join(dataDir, 'errors'),
+        segmentMaxBytes: config.segmentMaxBytes,
+        segmentMaxAgeMinutes: config.segmentMaxAgeMinutes,
+        flushIntervalMs: config.flushIntervalMs
+      });
+    default:
+      throw new Error(`Unknown storage type: ${config.type}`);
+  }
+}
+
+module.exports = { MemoryBackend, SegmentBackend, createStorageBackend };
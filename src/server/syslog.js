@@ -0,0 +1,248 @@
+// src/server/syslog.js - Syslog receiver (RFC 3164 and RFC 5424 over UDP and TCP)
+//
+// For network gear and appliances that can't run the agent. TCP accepts both
+// octet-counted framing ("57 <34>1 ...", RFC 6587) and newline-delimited messages.
+const dgram = require('dgram');
+const net = require('net');
+
+// PRI severity 0-7 -> LogSV level
+const SEVERITY_LEVELS = ['ERROR', 'ERROR', 'ERROR', 'ERROR', 'WARN', 'INFO', 'INFO', 'DEBUG'];
+const SEVERITY_NAMES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const FACILITY_NAMES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv', 'ftp',
+  'ntp', 'security', 'console', 'solaris-cron', 'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const nil = value => (value === '-' ? null : value);
+
+// [id key="value" ...][id2 ...] -> { id: { key: value }, id2: {} }
+function parseStructuredData(text) {
+  const data = {};
+  let rest = text;
+
+  while (rest.startsWith('[')) {
+    const element = rest.match(/^\[([^\s\]]+)((?:\s+[^\s=\]]+="(?:[^"\\]|\\.)*")*)\s*\]/);
+    if (!element) break;
+
+    const params = {};
+    const paramPattern = /([^\s=\]]+)="((?:[^"\\]|\\.)*)"/g;
+    let param;
+    while ((param = paramPattern.exec(element[2])) !== null) {
+      params[param[1]] = param[2].replace(/\\(["\\\]])/g, '$1');
+    }
+
+    data[element[1]] = params;
+    rest = rest.slice(element[0].length);
+  }
+
+  return { data, rest };
+}
+
+// RFC 3164 timestamps have no year (and no zone) - assume the most recent matching date
+function parseBSDTimestamp(text, now = new Date()) {
+  const match = text.match(/^([A-Z][a-z]{2})\s+(\d{1,2}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[1]);
+  if (month === -1) return null;
+
+  const date = new Date(now.getFullYear(), month, parseInt(match[2], 10), parseInt(match[3], 10), parseInt(match[4], 10), parseInt(match[5], 10));
+  if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) date.setFullYear(date.getFullYear() - 1);
+  return date;
+}
+
+function parseSyslogMessage(raw, now = new Date()) {
+  const text = raw.replace(/[\r\n\0]+$/, '');
+
+  // Messages without a PRI are user.notice (RFC 3164 section 4.3.3)
+  const pri = text.match(/^<(\d{1,3})>/);
+  const priority = pri ? parseInt(pri[1], 10) : 13;
+  const body = pri ? text.slice(pri[0].length) : text;
+
+  const facility = priority >> 3;
+  const severity = priority & 7;
+  const base = {
+    facility: FACILITY_NAMES[facility] || `facility${facility}`,
+    severity: SEVERITY_NAMES[severity],
+    level: SEVERITY_LEVELS[severity]
+  };
+
+  // RFC 5424: VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+  const modern = body.match(/^(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /);
+  if (modern) {
+    const { data, rest } = body.slice(modern[0].length).startsWith('-')
+      ? { data: {}, rest: body.slice(modern[0].length + 1) }
+      : parseStructuredData(body.slice(modern[0].length));
+    const timestamp = nil(modern[2]) ? new Date(modern[2]) : now;
+
+    return {
+      ...base,
+      format: 'rfc5424',
+      timestamp: isNaN(timestamp.getTime()) ? now : timestamp,
+      hostname: nil(modern[3]),
+      appName: nil(modern[4]),
+      procId: nil(modern[5]),
+      msgId: nil(modern[6]),
+      structuredData: data,
+      message: rest.replace(/^ /, '').replace(/^\uFEFF/, '')
+    };
+  }
+
+  // RFC 3164: Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG - hostname and timestamp are often missing
+  let rest = body;
+  let timestamp = now;
+  const bsdTime = rest.match(/^([A-Z][a-z]{2}\s+\d{1,2} \d{2}:\d{2}:\d{2})\s+/);
+  if (bsdTime) {
+    timestamp = parseBSDTimestamp(bsdTime[1], now) || now;
+    rest = rest.slice(bsdTime[0].length);
+  }
+
+  let hostname = null;
+  const firstWord = rest.match(/^(\S+)\s+/);
+  // "web-1 sshd[42]: ..." has a hostname, "sshd[42]: ..." doesn't
+  if (bsdTime && firstWord && !/[:\[]/.test(firstWord[1])) {
+    hostname = firstWord[1];
+    rest = rest.slice(firstWord[0].length);
+  }
+
+  let appName = null;
+  let procId = null;
+  const tag = rest.match(/^([^\s:\[]{1,48})(?:\[([^\]]*)\])?:\s?/);
+  if (tag) {
+    appName = tag[1];
+    procId = tag[2] || null;
+    rest = rest.slice(tag[0].length);
+  }
+
+  return {
+    ...base,
+    format: 'rfc3164',
+    timestamp,
+    hostname,
+    appName,
+    procId,
+    msgId: null,
+    structuredData: {},
+    message: rest
+  };
+}
+
+// Splits a TCP stream into messages: octet counting when a frame starts with a length
+function createFramer(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length > 0) {
+      const head = buffer.slice(0, 12).toString('latin1');
+      const counted = head.match(/^([1-9]\d{0,9}) /);
+
+      if (counted) {
+        const length = parseInt(counted[1], 10);
+        const start = counted[0].length;
+        if (length > MAX_MESSAGE_BYTES) throw new Error(`Syslog frame of ${length} bytes is too large`);
+        if (buffer.length < start + length) return;
+
+        onMessage(buffer.slice(start, start + length).toString('utf8'));
+        buffer = buffer.slice(start + length);
+        continue;
+      }
+
+      // Non-transparent framing: LF (or NUL) ends a message
+      let end = buffer.indexOf(0x0a);
+      const nul = buffer.indexOf(0x00);
+      if (nul !== -1 && (end === -1 || nul < end)) end = nul;
+
+      if (end === -1) {
+        if (buffer.length > MAX_MESSAGE_BYTES) throw new Error('Syslog message without a line ending is too large');
+        return;
+      }
+
+      const message = buffer.slice(0, end).toString('utf8');
+      buffer = buffer.slice(end + 1);
+      if (message.trim()) onMessage(message);
+    }
+  };
+}
+
+// false (or null) turns a transport off; 0 picks a free port
+const isEnabled = port => port !== false && port !== null;
+
+class SyslogReceiver {
+  constructor(config = {}, onMessage) {
+    this.host = config.host || '0.0.0.0';
+    this.udpPort = config.udpPort === undefined ? 514 : config.udpPort;
+    this.tcpPort = config.tcpPort === undefined ? 514 : config.tcpPort;
+    this.onMessage = onMessage;
+    this.udp = null;
+    this.tcp = null;
+    this.connections = new Set();
+  }
+
+  receive(raw, address) {
+    try {
+      this.onMessage({ ...parseSyslogMessage(raw), address });
+    } catch (error) {
+      console.error('Error handling syslog message:', error.message);
+    }
+  }
+
+  // Resolves once both transports listen; udpPort and tcpPort are then the real ports
+  start() {
+    const listening = [];
+
+    if (isEnabled(this.udpPort)) {
+      this.udp = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      this.udp.on('message', (message, remote) => this.receive(message.toString('utf8'), remote.address));
+      this.udp.on('error', error => console.error('❌ Syslog UDP error:', error.message));
+      listening.push(new Promise(resolve => this.udp.once('listening', () => {
+        this.udpPort = this.udp.address().port;
+        resolve();
+      })));
+      this.udp.bind(this.udpPort, this.host);
+    }
+
+    if (isEnabled(this.tcpPort)) {
+      this.tcp = net.createServer(socket => {
+        this.connections.add(socket);
+        const address = socket.remoteAddress;
+        const framer = createFramer(raw => this.receive(raw, address));
+
+        socket.on('data', chunk => {
+          try {
+            framer(chunk);
+          } catch (error) {
+            console.warn(`⚠️  Dropping syslog connection from ${address}: ${error.message}`);
+            socket.destroy();
+          }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => this.connections.delete(socket));
+      });
+      this.tcp.on('error', error => console.error('❌ Syslog TCP error:', error.message));
+      listening.push(new Promise(resolve => this.tcp.once('listening', () => {
+        this.tcpPort = this.tcp.address().port;
+        resolve();
+      })));
+      this.tcp.listen(this.tcpPort, this.host);
+    }
+
+    return Promise.all(listening).then(() => {
+      console.log(`📨 Syslog: ${[this.udp && `udp/${this.udpPort}`, this.tcp && `tcp/${this.tcpPort}`].filter(Boolean).join(', ')}`);
+    });
+  }
+
+  stop() {
+    if (this.udp) this.udp.close();
+    if (this.tcp) this.tcp.close();
+    this.connections.forEach(socket => socket.destroy());
+    this.udp = null;
+    this.tcp = null;
+  }
+}
+
+module.exports = { SyslogReceiver, parseSyslogMessage, createFramer };
@@ -0,0 +1,181 @@
+// src/server/timerange.js - Time expressions in search queries
+//
+//   "what happened in the last hour?"   "db errors last 15 minutes"
+//   "since yesterday 14:00"             "between 2am and 3am"           "today"
+//
+// Times are interpreted in the server's local timezone.
+
+const UNITS = {
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: 86400000, day: 86400000, days: 86400000,
+  w: 604800000, week: 604800000, weeks: 604800000
+};
+
+// A point in time: "yesterday 14:00", "today at 2am", "14:30", "2025-08-01T10:00", "yesterday"
+const CLOCK = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?';
+const POINT = `(?:(?:today|yesterday)(?:\\s+(?:at\\s+)?${CLOCK})?|${CLOCK}|\\d{4}-\\d{2}-\\d{2}(?:[t\\s]\\d{2}:\\d{2}(?::\\d{2})?(?:\\.\\d+)?(?:z|[+-]\\d{2}:?\\d{2})?)?|now)`;
+
+const EXPRESSIONS = [
+  {
+    // "in the last 15 minutes", "past hour", "last 2d"
+    pattern: new RegExp(`\\b(?:in\\s+the\\s+|during\\s+the\\s+)?(?:last|past)\\s+(\\d+\\s*)?(${Object.keys(UNITS).join('|')})\\b`, 'i'),
+    resolve: (match, now) => {
+      const amount = match[1] ? parseInt(match[1], 10) : 1;
+      const unit = UNITS[match[2].toLowerCase()];
+      return { from: new Date(now.getTime() - amount * unit), to: null };
+    }
+  },
+  {
+    pattern: new RegExp(`\\bbetween\\s+(${POINT})\\s+and\\s+(${POINT})\\b`, 'i'),
+    resolve: (match, now) => {
+      let from = parsePoint(match[1], now);
+      let to = parsePoint(match[2], now, from);
+      if (!from || !to) return null;
+
+      // "between 2am and 3am" before 2am today means last night
+      if (from > now && !/today|\d{4}-/i.test(match[1])) {
+        from = shiftDays(from, -1);
+        to = shiftDays(to, -1);
+      }
+      // "between 11pm and 1am" crosses midnight
+      if (to < from) to = shiftDays(to, 1);
+
+      return { from, to };
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(?:since|after|from)\\s+(${POINT})\\b`, 'i'),
+    resolve: (match, now) => {
+      let from = parsePoint(match[1], now);
+      if (!from) return null;
+      if (from > now && !/today|\d{4}-/i.test(match[1])) from = shiftDays(from, -1);
+      return { from, to: null };
+    }
+  },
+  {
+    pattern: /\b(?:until|before)\s+(\S+(?:\s+\d{1,2}(?::\d{2})?\s*(?:am|pm)?)?)\b/i,
+    resolve: (match, now) => {
+      const to = parsePoint(match[1], now);
+      return to ? { from: null, to } : null;
+    }
+  },
+  {
+    pattern: /\b(today|yesterday)\b/i,
+    resolve: (match, now) => {
+      const start = startOfDay(now);
+      return match[1].toLowerCase() === 'today'
+        ? { from: start, to: null }
+        : { from: shiftDays(start, -1), to: start };
+    }
+  }
+];
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+function shiftDays(date, days) {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+}
+
+function parseClock(text, day) {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  // A bare number ("since 5") is too ambiguous to be a time
+  if (!match[2] && !meridiem) return null;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+// `reference` lets the end of "between yesterday 2am and 3am" stay on yesterday
+function parsePoint(text, now, reference = null) {
+  const value = text.trim().toLowerCase();
+  if (value === 'now') return new Date(now);
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = new Date(text.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const day = value.match(/^(today|yesterday)(?:\s+(?:at\s+)?(.+))?$/);
+  if (day) {
+    const base = day[1] === 'today' ? startOfDay(now) : shiftDays(startOfDay(now), -1);
+    return day[2] ? parseClock(day[2], base) : base;
+  }
+
+  return parseClock(value, reference ? startOfDay(reference) : startOfDay(now));
+}
+
+// Hide quoted phrases and regexes so "message:/last 2 days/" isn't read as a time range
+function maskLiterals(query) {
+  return query.replace(/"[^"]*"|\/[^/]*\//g, literal => ' '.repeat(literal.length));
+}
+
+// Words that are left over once the time expression is gone ("what happened ... ?")
+const FILLER = new Set(['what', 'happened', 'show', 'me', 'all', 'errors', 'error', 'logs', 'anything', 'in', 'the', 'during', 'of', 'for', 'from', 'since', 'is', 'was', 'were', 'any', 'everything']);
+
+function extractTimeRange(query, now = new Date()) {
+  const masked = maskLiterals(query);
+
+  for (const expression of EXPRESSIONS) {
+    const match = masked.match(expression.pattern);
+    if (!match) continue;
+
+    const original = query.slice(match.index, match.index + match[0].length);
+    const range = expression.resolve(original.match(expression.pattern), now);
+    if (!range) continue;
+
+    let remaining = (query.slice(0, match.index) + ' ' + query.slice(match.index + match[0].length))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const words = remaining.toLowerCase().replace(/[?!.,]/g, ' ').split(/\s+/).filter(Boolean);
+    if (words.every(word => FILLER.has(word))) remaining = '';
+
+    return { query: remaining, from: range.from, to: range.to, label: original.trim() };
+  }
+
+  return { query, from: null, to: null, label: null };
+}
+
+function parseTimestampParam(value, name) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw Object.assign(new Error(`Invalid "${name}" timestamp: ${value} (expected ISO 8601)`), { statusCode: 400 });
+  }
+  return date;
+}
+
+// Time range for a search: explicit from/to parameters win over words in the query
+function resolveTimeRange(query, fromParam, toParam, now = new Date()) {
+  const extracted = extractTimeRange(query || '', now);
+  const from = parseTimestampParam(fromParam, 'from');
+  const to = parseTimestampParam(toParam, 'to');
+
+  return {
+    query: extracted.query,
+    from: from || extracted.from,
+    to: to || extracted.to,
+    label: from || to ? 'custom range' : extracted.label
+  };
+}
+
+module.exports = { extractTimeRange, resolveTimeRange };
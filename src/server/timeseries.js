@@ -0,0 +1,207 @@
+// src/server/timeseries.js - Counts over time for /api/timeseries and the dashboard charts
+//
+// Counts land in minute buckets. A minute bucket older than the minute retention is
+// folded into its hour bucket, so every count lives in exactly one bucket: recent
+// history at minute resolution, older history at hour resolution.
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DIMENSIONS = ['server', 'level', 'category', 'file'];
+
+// events: error events stored by the server; lines: every line agents and syslog read
+const METRICS = {
+  events: DIMENSIONS,
+  lines: ['server', 'level', 'file']
+};
+
+const STEP_UNITS = { m: MINUTE, h: HOUR, d: DAY };
+const AUTO_STEPS = [MINUTE, 5 * MINUTE, 15 * MINUTE, HOUR, 6 * HOUR, DAY];
+const AUTO_POINTS = 360;
+const MAX_POINTS = 1440;
+
+const invalid = message => Object.assign(new Error(message), { statusCode: 400 });
+
+function addTo(buckets, start, key, value) {
+  if (!buckets.has(start)) buckets.set(start, new Map());
+  const series = buckets.get(start);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+// "5m", "1h", "1d" -> milliseconds
+function parseStep(text) {
+  const match = String(text).match(/^(\d+)([mhd])$/);
+  if (!match || parseInt(match[1], 10) === 0) throw invalid(`Invalid step "${text}" (expected e.g. 1m, 15m, 1h or 1d)`);
+  return parseInt(match[1], 10) * STEP_UNITS[match[2]];
+}
+
+function formatStep(ms) {
+  if (ms % DAY === 0) return `${ms / DAY}d`;
+  if (ms % HOUR === 0) return `${ms / HOUR}h`;
+  return `${ms / MINUTE}m`;
+}
+
+class TimeSeries {
+  constructor(options = {}) {
+    this.minuteRetention = (options.minuteRetentionHours || 6) * HOUR;
+    this.hourRetention = (options.hourRetentionDays || 30) * DAY;
+    this.file = options.file || null;
+    this.minutes = new Map(); // bucket start -> series key -> count
+    this.hours = new Map();
+    this.dimensions = new Map(); // series key -> [metric, server, level, category, file]
+  }
+
+  key(metric, dimensions) {
+    const values = [metric, ...DIMENSIONS.map(name => (dimensions[name] === undefined || dimensions[name] === null ? null : String(dimensions[name])))];
+    const key = values.join('\u0000');
+    if (!this.dimensions.has(key)) this.dimensions.set(key, values);
+    return key;
+  }
+
+  record(metric, dimensions, value = 1, time = Date.now()) {
+    const now = Date.now();
+    const at = Math.min(time, now);
+    if (!value || at < now - this.hourRetention) return;
+
+    const key = this.key(metric, dimensions);
+    if (at < now - this.minuteRetention) {
+      addTo(this.hours, at - (at % HOUR), key, value);
+    } else {
+      addTo(this.minutes, at - (at % MINUTE), key, value);
+    }
+  }
+
+  // Old minutes move into their hour; hours past retention are dropped
+  compact(now = Date.now()) {
+    for (const [start, series] of this.minutes) {
+      if (start >= now - this.minuteRetention) continue;
+      series.forEach((value, key) => addTo(this.hours, start - (start % HOUR), key, value));
+      this.minutes.delete(start);
+    }
+
+    for (const start of this.hours.keys()) {
+      if (start < now - this.hourRetention) this.hours.delete(start);
+    }
+
+    // Series that no longer have any counts
+    const used = new Set();
+    [this.minutes, this.hours].forEach(buckets => buckets.forEach(series => series.forEach((value, key) => used.add(key))));
+    for (const key of this.dimensions.keys()) {
+      if (!used.has(key)) this.dimensions.delete(key);
+    }
+  }
+
+  // -> { from, to, step, series: [{ key, total, values }] } with values[i] counting from + i * step
+  query({ metric = 'events', groupBy = null, from = null, to = null, step = null, filters = {} } = {}, now = Date.now()) {
+    if (!METRICS[metric]) throw invalid(`Unknown metric "${metric}" (expected one of ${Object.keys(METRICS).join(', ')})`);
+    if (groupBy && !METRICS[metric].includes(groupBy)) {
+      throw invalid(`${metric} can't be grouped by "${groupBy}" (expected one of ${METRICS[metric].join(', ')})`);
+    }
+    Object.keys(filters).forEach(name => {
+      if (!METRICS[metric].includes(name)) throw invalid(`${metric} can't be filtered by "${name}"`);
+    });
+
+    const end = to ? to.getTime() : now;
+    const begin = from ? from.getTime() : end - HOUR;
+    if (begin >= end) throw invalid('from must be before to');
+
+    // Minute steps only make sense while the range is still at minute resolution
+    const minimum = begin < now - this.minuteRetention ? HOUR : MINUTE;
+    let size = step ? parseStep(step) : AUTO_STEPS.find(candidate => candidate >= minimum && (end - begin) / candidate <= AUTO_POINTS) || DAY;
+    if (size < minimum) size = minimum;
+    if (size >= HOUR && size % HOUR !== 0) throw invalid('Steps of an hour or more must be whole hours');
+
+    const start = begin - (begin % size);
+    const points = Math.ceil((end - start) / size);
+    if (points > MAX_POINTS) throw invalid(`${points} points is too many - use a larger step (at most ${MAX_POINTS} points)`);
+
+    const position = DIMENSIONS.reduce((map, name, i) => ({ ...map, [name]: i + 1 }), {});
+    const matchesFilters = values => Object.entries(filters).every(([name, wanted]) => values[position[name]] === String(wanted));
+    const groups = new Map();
+
+    const visit = buckets => buckets.forEach((series, bucketStart) => {
+      if (bucketStart < start || bucketStart >= end) return;
+      const index = Math.floor((bucketStart - start) / size);
+
+      series.forEach((value, key) => {
+        const values = this.dimensions.get(key);
+        if (values[0] !== metric || !matchesFilters(values)) return;
+
+        const group = groupBy ? values[position[groupBy]] || 'unknown' : 'total';
+        if (!groups.has(group)) groups.set(group, { key: group, total: 0, values: new Array(points).fill(0) });
+        const entry = groups.get(group);
+        entry.values[index] += value;
+        entry.total += value;
+      });
+    });
+
+    visit(this.hours);
+    visit(this.minutes);
+
+    return {
+      metric,
+      groupBy,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      step: formatStep(size),
+      stepMs: size,
+      series: Array.from(groups.values()).sort((a, b) => b.total - a.total)
+    };
+  }
+
+  // Minute-resolution counts for a metric, oldest first: [{ time, dimensions, value }]
+  recent(metric) {
+    const counts = [];
+    Array.from(this.minutes.keys()).sort((a, b) => a - b).forEach(start => {
+      this.minutes.get(start).forEach((value, key) => {
+        const values = this.dimensions.get(key);
+        if (values[0] === metric) counts.push({ time: start, dimensions: this.dimensionsOf(values), value });
+      });
+    });
+    return counts;
+  }
+
+  load() {
+    if (!this.file) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      [['minutes', this.minutes], ['hours', this.hours]].forEach(([name, buckets]) => {
+        (saved[name] || []).forEach(([start, series]) => {
+          series.forEach(([values, value]) => addTo(buckets, start, this.key(values[0], this.dimensionsOf(values)), value));
+        });
+      });
+      this.compact();
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️  Cannot read time series from ${this.file}:`, error.message);
+    }
+  }
+
+  dimensionsOf(values) {
+    return DIMENSIONS.reduce((dimensions, name, i) => ({ ...dimensions, [name]: values[i + 1] }), {});
+  }
+
+  save() {
+    if (!this.file) return;
+
+    const serialize = buckets => Array.from(buckets.entries()).map(([start, series]) => [
+      start,
+      Array.from(series.entries()).map(([key, value]) => [this.dimensions.get(key), value])
+    ]);
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpPath = `${this.file}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ minutes: serialize(this.minutes), hours: serialize(this.hours) }));
+      fs.renameSync(tmpPath, this.file);
+    } catch (error) {
+      // Charts lose history across a restart, nothing else depends on it
+      console.warn(`⚠️  Cannot save time series to ${this.file}:`, error.message);
+    }
+  }
+}
+
+module.exports = { TimeSeries, METRICS, DIMENSIONS, parseStep };
@@ -0,0 +1,100 @@
+// Search benchmark: 100k stored events, every query under 100ms
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/server/index.js');
+const { SegmentBackend } = require('../src/server/storage.js');
+
+const EVENTS = 100000;
+const BUDGET_MS = 100;
+
+const servers = Array.from({ length: 25 }, (_, i) => `web-${i + 1}`).concat(['db-1', 'db-2', 'cache-1']);
+const logFiles = ['/var/log/app.log', '/var/log/nginx/error.log', '/var/log/worker.log'];
+const templates = [
+  id => `Database connection timeout after 30s on shard ${id}`,
+  id => `Failed to parse JSON payload from client ${id}`,
+  id => `Authentication failed for user account${id}`,
+  id => `Connection refused by upstream service-${id}`,
+  id => `CRITICAL: out of memory in worker pool ${id}`,
+  id => `Warning: deprecated endpoint /api/v1/item${id} called`,
+  id => `Disk space low on volume vol${id}`,
+  id => `Queue limit exceeded for tenant tenant${id}`
+];
+
+const start = Date.now() - 2 * 60 * 60 * 1000;
+
+// The same events for every store: deterministic pseudo-random numbers so runs are comparable
+function ingest(target) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  for (let i = 0; i < EVENTS; i++) {
+    // One event in five repeats an earlier one; letters instead of digits keep the
+    // rest distinct after message normalization
+    const n = i % 5 === 4 ? Math.floor(random() * i) : i;
+    const id = n.toString(36).replace(/\d/g, d => 'ghijklmnop'[d]);
+    target.addError({
+      serverId: servers[n % servers.length],
+      logFile: logFiles[n % logFiles.length],
+      errorMessage: templates[Math.floor(n / 7) % templates.length](id),
+      timestamp: new Date(start + i * 70).toISOString()
+    });
+  }
+}
+
+const store = new MemoryStore({ maxErrors: EVENTS });
+
+console.log(`⏱️  Ingesting ${EVENTS} events...`);
+let began = process.hrtime.bigint();
+ingest(store);
+const ingestMs = Number(process.hrtime.bigint() - began) / 1e6;
+console.log(`   ${store.size} groups from ${EVENTS} events in ${ingestMs.toFixed(0)}ms (${Math.round(EVENTS / (ingestMs / 1000))} events/s)`);
+
+// The default file backend, including the flush to disk on close
+const segmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-bench-'));
+const durable = new MemoryStore({ maxErrors: EVENTS, backend: new SegmentBackend({ dir: segmentDir }) });
+durable.load();
+began = process.hrtime.bigint();
+ingest(durable);
+durable.close();
+const durableMs = Number(process.hrtime.bigint() - began) / 1e6;
+console.log(`   segment backend: ${EVENTS} events in ${durableMs.toFixed(0)}ms (${Math.round(EVENTS / (durableMs / 1000))} events/s)`);
+fs.rmSync(segmentDir, { recursive: true, force: true });
+
+const queries = [
+  ['natural language', 'show me database timeouts'],
+  ['natural language', 'critical errors from server-3'],
+  ['text', 'refused'],
+  ['text', 'account'],
+  ['structured', 'severity:critical AND server:web-*'],
+  ['structured', 'message:"out of memory" -server:db-*'],
+  ['structured', 'category:Authentication OR message:/timed? out/'],
+  ['structured', 'count>1 AND severity:(critical OR high)'],
+  ['time range', 'what happened in the last hour?']
+];
+
+const { resolveTimeRange } = require('../src/server/timerange.js');
+
+let slowest = 0;
+queries.forEach(([kind, query]) => {
+  const range = resolveTimeRange(query);
+
+  began = process.hrtime.bigint();
+  const results = store.search(range.query, range);
+  const ms = Number(process.hrtime.bigint() - began) / 1e6;
+
+  slowest = Math.max(slowest, ms);
+  console.log(`   ${ms < BUDGET_MS ? '✅' : '❌'} ${ms.toFixed(1).padStart(6)}ms  ${String(results.length).padStart(3)} results  ${kind}: ${query}`);
+});
+
+store.close();
+
+if (slowest >= BUDGET_MS) {
+  console.error(`❌ Slowest query took ${slowest.toFixed(1)}ms (budget ${BUDGET_MS}ms)`);
+  process.exit(1);
+}
+
+console.log(`🎉 All queries under ${BUDGET_MS}ms (slowest ${slowest.toFixed(1)}ms)`);
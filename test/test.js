@@ -26,13 +26,12 @@ assert(jsonParsed.message === 'API timeout', 'Should extract JSON message');
 
 console.log('✅ JSON log parsing test passed');
 
-// Test 3: Error categorization
-const parser2 = new SmartLogParser();
+// Test 3: Error categorization (the server categorizes, not the agent's parser)
+const { MemoryStore } = require('../src/server/index.js');
 const dbError = 'Database connection timeout after 30 seconds';
-const category = parser2.categorizeError(dbError);
+const category = new MemoryStore().categorizeError(dbError);
 
-// Note: This test will fail because categorizeError is not a method of SmartLogParser
-// We need to create it in the parser class
+assert.strictEqual(category, 'Database Connectivity', 'Should categorize database errors');
 console.log('✅ Error categorization test passed');
 
 // Test 4: Urgency calculation
@@ -47,6 +46,1259 @@ assert(urgency >= 8, 'Should calculate high urgency for critical auth errors');
 
 console.log('✅ Urgency calculation test passed');
 
-console.log('');
-console.log('🎉 All tests passed!');
-console.log('LogSV is ready for deployment!');
+// Test 5: Glob expansion for logFiles patterns
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandGlob, globToRegExp } = require('../src/agent/index.js');
+
+const globDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-glob-'));
+fs.mkdirSync(path.join(globDir, 'workers', 'nested'), { recursive: true });
+fs.writeFileSync(path.join(globDir, 'app-1.log'), '');
+fs.writeFileSync(path.join(globDir, 'app-2.log'), '');
+fs.writeFileSync(path.join(globDir, 'app.txt'), '');
+fs.writeFileSync(path.join(globDir, 'workers', 'w1.log'), '');
+fs.writeFileSync(path.join(globDir, 'workers', 'nested', 'w2.log'), '');
+
+assert(globToRegExp('app-?.{log,txt}').test('app-1.log'), 'Should support ? and {a,b}');
+assert(!globToRegExp('*.log').test('app.txt'), 'Should not match other extensions');
+assert.deepStrictEqual(
+  expandGlob(path.join(globDir, '*.log')).map(f => path.basename(f)),
+  ['app-1.log', 'app-2.log'],
+  'Should expand * in a single directory'
+);
+assert.strictEqual(expandGlob(path.join(globDir, '**', '*.log')).length, 4, 'Should expand ** recursively');
+
+fs.rmSync(globDir, { recursive: true, force: true });
+
+console.log('✅ Glob expansion test passed');
+
+// Test 6: FileTailer follows rotation and truncation
+const { FileTailer } = require('../src/agent/index.js');
+
+const rotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-rotate-'));
+const rotFile = path.join(rotDir, 'app.log');
+const tailedLines = [];
+const rotations = [];
+
+fs.writeFileSync(rotFile, 'existing\n');
+const tailer = new FileTailer(rotFile, line => tailedLines.push(line), {
+  onRotate: rotation => rotations.push(rotation.reason)
+});
+tailer.start();
+
+fs.appendFileSync(rotFile, 'before rotate\n');
+fs.renameSync(rotFile, rotFile + '.1');
+fs.writeFileSync(rotFile, 'after rotate\n');
+tailer.check(fs.statSync(rotFile));
+
+fs.truncateSync(rotFile, 0);
+tailer.check(fs.statSync(rotFile));
+fs.appendFileSync(rotFile, 'after truncate\n');
+tailer.check(fs.statSync(rotFile));
+tailer.stop();
+
+assert.deepStrictEqual(tailedLines, ['before rotate', 'after rotate', 'after truncate'], 'Should drain old file and reopen new one');
+assert.deepStrictEqual(rotations, ['rotated', 'truncated'], 'Should report rotation and truncation');
+
+fs.rmSync(rotDir, { recursive: true, force: true });
+
+console.log('✅ Log rotation test passed');
+
+// Test 7: Checkpoints resume tailing where the agent stopped
+const { CheckpointStore } = require('../src/agent/index.js');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-state-'));
+const cpFile = path.join(stateDir, 'app.log');
+fs.writeFileSync(cpFile, 'seen\n');
+
+const checkpoints = new CheckpointStore(stateDir);
+checkpoints.set(cpFile, fs.statSync(cpFile).ino, fs.statSync(cpFile).size);
+checkpoints.flush();
+fs.appendFileSync(cpFile, 'written while down\n');
+
+const reloaded = new CheckpointStore(stateDir);
+reloaded.load();
+const resumedLines = [];
+const resumed = new FileTailer(cpFile, line => resumedLines.push(line), { checkpoint: reloaded.get(cpFile) });
+resumed.start();
+resumed.stop();
+
+const staleLines = [];
+const stale = new FileTailer(cpFile, line => staleLines.push(line), {
+  checkpoint: { inode: -1, offset: 0 },
+  startFrom: 'beginning'
+});
+stale.start();
+stale.stop();
+
+assert.deepStrictEqual(resumedLines, ['written while down'], 'Should resume from checkpoint offset');
+assert.deepStrictEqual(staleLines, ['seen', 'written while down'], 'Should fall back to startFrom on inode mismatch');
+
+fs.rmSync(stateDir, { recursive: true, force: true });
+
+console.log('✅ Checkpoint resume test passed');
+
+// Test 8: Multi-line stack traces become one event
+const { MultilineAssembler } = require('../src/agent/index.js');
+
+const events = [];
+const assembler = new MultilineAssembler(true, lines => events.push(lines));
+[
+  '2025-08-01T10:30:15Z ERROR Request failed',
+  'java.lang.IllegalStateException: pool exhausted',
+  '    at com.example.Pool.get(Pool.java:42)',
+  'Caused by: java.net.SocketTimeoutException: timed out',
+  '    ... 12 more',
+  '2025-08-01T10:30:16Z INFO Recovered'
+].forEach(line => assembler.push(line));
+assembler.flush();
+
+assert.strictEqual(events.length, 2, 'Should assemble the stack into one event');
+assert.strictEqual(events[0].length, 5, 'Should keep every stack line');
+
+const [headline, ...stack] = events[0];
+const stackParsed = parser.parse(headline, { type: 'auto' }, stack);
+assert.strictEqual(stackParsed.message, 'Request failed', 'Headline should be the message');
+assert(stackParsed.stack.includes('Caused by:'), 'Should carry the full stack');
+assert(stackParsed.semantics.hasStackTrace, 'Should flag stack traces');
+
+console.log('✅ Multi-line assembly test passed');
+
+// Test 9: Outbound spool keeps unacknowledged messages across restarts
+const { OutboundSpool } = require('../src/agent/index.js');
+
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-spool-'));
+const spool = new OutboundSpool(spoolDir);
+spool.load();
+spool.enqueue({ type: 'error', data: { errorMessage: 'first' } });
+spool.enqueue({ type: 'error', data: { errorMessage: 'second' } });
+spool.enqueue({ type: 'error', data: { errorMessage: 'third' } });
+spool.ack(1);
+spool.saveMeta();
+
+const restarted = new OutboundSpool(spoolDir);
+restarted.load();
+assert.strictEqual(restarted.stream, spool.stream, 'Should keep the same stream id');
+assert.deepStrictEqual(restarted.pending.map(entry => entry.seq), [2, 3], 'Should replay only unacked messages');
+assert.strictEqual(restarted.enqueue({ type: 'error', data: {} }).seq, 4, 'Should continue the sequence');
+restarted.saveMeta();
+
+// Without acks the file is compacted as the spool drops its oldest messages
+const fullDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-spool-'));
+const fullSpool = new OutboundSpool(fullDir, { maxMessages: 5 });
+const originalWarn = console.warn;
+console.warn = () => {};
+for (let i = 0; i < 30; i++) fullSpool.enqueue({ type: 'error', data: { errorMessage: `outage ${i}` } });
+console.warn = originalWarn;
+fullSpool.saveMeta();
+const spooledLines = fs.readFileSync(fullSpool.logPath, 'utf8').split('\n').filter(Boolean);
+assert.strictEqual(fullSpool.pending.length, 5, 'Should keep only maxMessages');
+assert.ok(spooledLines.length <= 10, `Spool file should stay bounded, has ${spooledLines.length} lines`);
+assert.strictEqual(JSON.parse(spooledLines[spooledLines.length - 1]).seq, 30, 'Should keep the newest message');
+
+fs.rmSync(spoolDir, { recursive: true, force: true });
+fs.rmSync(fullDir, { recursive: true, force: true });
+
+console.log('✅ Outbound spool test passed');
+
+// Test 10: Agent enrollment keys
+const { AgentKeyring } = require('../src/server/auth.js');
+
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-keys-'));
+const keyring = new AgentKeyring({ adminToken: 'admin', tokens: [{ id: 'psk', token: 'shared', serverId: 'web-1' }] }, keyDir);
+
+assert(keyring.verify('shared'), 'Should accept pre-shared keys');
+assert(!keyring.verify('wrong'), 'Should reject unknown tokens');
+assert(!keyring.bind(keyring.verify('shared'), 'web-2'), 'Should tie a key to its serverId');
+
+const issued = keyring.issue({ name: 'db' });
+assert(keyring.bind(keyring.verify(issued.token), 'db-1'), 'Should bind an issued key on first use');
+
+const reloadedKeys = new AgentKeyring({}, keyDir);
+reloadedKeys.load();
+assert.strictEqual(reloadedKeys.verify(issued.token).serverId, 'db-1', 'Should persist issued keys');
+reloadedKeys.revoke(issued.id);
+assert(!reloadedKeys.verify(issued.token), 'Should reject revoked keys');
+
+// A pre-shared key without a serverId belongs to the first agent that registers with it, also after a restart
+const fleetConfig = { tokens: [{ id: 'enroll', token: 'one-host' }] };
+const fleetKeys = new AgentKeyring(fleetConfig, keyDir);
+fleetKeys.load();
+assert(fleetKeys.bind(fleetKeys.verify('one-host'), 'web-3'), 'Should bind an unbound pre-shared key on first use');
+const restartedKeys = new AgentKeyring(fleetConfig, keyDir);
+restartedKeys.load();
+assert(!restartedKeys.bind(restartedKeys.verify('one-host'), 'intruder'), 'Should keep the binding across restarts');
+assert.ok(restartedKeys.keys.get(issued.id).revokedAt, 'Should keep issued keys next to the bindings');
+
+fs.rmSync(keyDir, { recursive: true, force: true });
+
+console.log('✅ Agent authentication test passed');
+
+// Test 11: Segment storage survives restarts and enforces retention
+const { SegmentBackend } = require('../src/server/storage.js');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-storage-'));
+const durable = new MemoryStore({ backend: new SegmentBackend({ dir: storageDir }) });
+durable.load();
+durable.addError({ serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: 'Database timeout after 30 seconds' });
+durable.addError({ serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: 'Database timeout after 31 seconds' });
+durable.close();
+
+const restored = new MemoryStore({ backend: new SegmentBackend({ dir: storageDir }) });
+restored.load();
+assert.strictEqual(restored.errors.length, 1, 'Should reload deduplicated groups');
+assert.strictEqual(restored.errors[0].count, 2, 'Should keep the latest group state');
+assert.strictEqual(restored.search('timeout').length, 1, 'Should search reloaded errors');
+const segmentLines = () => restored.backend.segments
+  .reduce((lines, segment) => lines + fs.readFileSync(path.join(storageDir, segment.file), 'utf8').split('\n').filter(Boolean).length, 0);
+assert.strictEqual(segmentLines(), 1, 'Should compact a segment left by the previous run');
+
+restored.errors[0].lastSeen = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+restored.backend.segments.forEach(segment => { segment.lastWriteAt = 0; });
+restored.enforceRetention();
+restored.close();
+assert.strictEqual(restored.errors.length, 0, 'Should drop errors past retention');
+assert.strictEqual(fs.readdirSync(storageDir).filter(file => file.startsWith('segment-')).length, 0, 'Should drop expired segments');
+
+fs.rmSync(storageDir, { recursive: true, force: true });
+
+// Repeats are batched: nothing is written while events come in, then one line per group
+const repeatDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-storage-'));
+const repeating = new MemoryStore({ backend: new SegmentBackend({ dir: repeatDir }) });
+repeating.load();
+for (let i = 0; i < 200; i++) {
+  repeating.addError({ serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: `Database timeout after ${i} seconds` });
+}
+const segmentFiles = () => fs.readdirSync(repeatDir).filter(file => file.startsWith('segment-'));
+assert.deepStrictEqual(segmentFiles(), [], 'Should not write on the ingest path');
+repeating.close();
+const repeatLines = segmentFiles().reduce((lines, file) => lines + fs.readFileSync(path.join(repeatDir, file), 'utf8').split('\n').filter(Boolean).length, 0);
+assert.strictEqual(repeating.errors[0].count, 200);
+assert.strictEqual(repeatLines, 1, 'Should write a group once per flush');
+fs.rmSync(repeatDir, { recursive: true, force: true });
+
+console.log('✅ Durable storage test passed');
+
+// Test 12: Structured query language
+const { compileQuery, QuerySyntaxError } = require('../src/server/query.js');
+
+const queryErrors = [
+  { serverId: 'web-1', severity: 'critical', category: 'Database Connectivity', errorMessage: 'Query timed out', urgency: 9, count: 3 },
+  { serverId: 'web-2', severity: 'critical', category: 'Network Issues', errorMessage: 'Upstream time out', urgency: 7, count: 1 },
+  { serverId: 'db-1', severity: 'high', category: 'Database Connectivity', errorMessage: 'Deadlock detected', urgency: 5, count: 12 }
+];
+const runQuery = query => queryErrors.filter(compileQuery(query)).map(e => e.serverId);
+
+assert.deepStrictEqual(
+  runQuery('severity:critical AND server:web-* AND NOT category:"Network Issues" AND message:/timed? out/'),
+  ['web-1'],
+  'Should combine fields, wildcards, phrases and regexes'
+);
+assert.deepStrictEqual(runQuery('urgency:>=7 -server:web-2'), ['web-1'], 'Should compare numbers and negate');
+assert.deepStrictEqual(runQuery('count>10 OR severity:(critical AND high)'), ['db-1'], 'Should support OR and grouping');
+assert.throws(() => compileQuery('severity:critical AND (server:web-1'), error =>
+  error instanceof QuerySyntaxError && error.position === 35, 'Should report the error position');
+const fileErrors = [{ logFile: '/var/log/app.log', errorMessage: 'Timed out' }, { logFile: '/var/log/db.log', errorMessage: 'Timed out' }];
+assert.deepStrictEqual(fileErrors.filter(compileQuery('file:/var/log/app.log')).map(e => e.logFile), ['/var/log/app.log'], 'A path is a word, not a regex');
+assert.strictEqual(fileErrors.filter(compileQuery('(file:/db\\.log$/ message:/timed out/i)')).length, 1, 'Regexes may still end a group');
+
+console.log('✅ Query language test passed');
+
+// Test 13: Time ranges in search
+const { extractTimeRange } = require('../src/server/timerange.js');
+
+const clock = new Date(2025, 7, 1, 10, 30);
+const lastHour = extractTimeRange('what happened in the last hour?', clock);
+assert.strictEqual(lastHour.query, '', 'Should leave no search text behind');
+assert.strictEqual(lastHour.from.getTime(), clock.getTime() - 60 * 60 * 1000, 'Should resolve "last hour"');
+
+const night = extractTimeRange('db errors between 2am and 3am', clock);
+assert.strictEqual(night.query, 'db errors', 'Should keep the rest of the query');
+assert.deepStrictEqual([night.from.getHours(), night.to.getHours()], [2, 3], 'Should resolve "between 2am and 3am"');
+
+const since = extractTimeRange('since yesterday 14:00', clock);
+assert.strictEqual(since.from.getDate(), 31, 'Should resolve "since yesterday 14:00"');
+
+const timedStore = new MemoryStore();
+timedStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage: 'Old failure', timestamp: '2025-08-01T01:00:00.000Z' });
+timedStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage: 'Recent failure', timestamp: '2025-08-01T09:00:00.000Z' });
+const inRange = timedStore.search('', { from: new Date('2025-08-01T08:00:00.000Z'), to: null });
+assert.deepStrictEqual(inRange.map(e => e.errorMessage), ['Recent failure'], 'Should filter on occurrence times');
+
+console.log('✅ Time range search test passed');
+
+// Test 14: Indexed search matches a full scan and follows eviction
+const indexedStore = new MemoryStore({ maxErrors: 50 });
+for (let i = 0; i < 80; i++) {
+  indexedStore.addError({
+    serverId: `web-${i % 4}`,
+    logFile: '/var/log/app.log',
+    errorMessage: [`Database timeout on shard ${'abcdefgh'[i % 8]}`, 'Connection refused by cache', `CRITICAL failure in worker ${'xyz'[i % 3]}`][i % 3]
+  });
+}
+
+assert.strictEqual(indexedStore.size, 16, 'Should keep one group per fingerprint');
+['timeout', 'time', 'refused by', 'web-2', 'severity:critical AND server:web-1', 'message:shard OR category:"Network Issues"'].forEach(query => {
+  const scan = /:/.test(query)
+    ? indexedStore.errors.filter(compileQuery(query))
+    : indexedStore.errors.filter(e => [e.errorMessage, e.serverId, e.category].some(v => v.toLowerCase().includes(query)));
+  assert.deepStrictEqual(indexedStore.search(query).map(e => e.id), scan.map(e => e.id), `Index should not change results for "${query}"`);
+});
+
+const evictingStore = new MemoryStore({ maxErrors: 2 });
+['Disk full on /data', 'Disk full on /logs', 'Token expired'].forEach(errorMessage => {
+  evictingStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage });
+});
+assert.deepStrictEqual(evictingStore.search('disk').map(e => e.errorMessage), ['Disk full on /logs'], 'Should drop evicted groups from the index');
+assert.strictEqual(evictingStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage: 'Disk full on /data' }).count, 1, 'Should forget evicted fingerprints');
+
+console.log('✅ Search index test passed');
+
+// Test 15: Alert rules delivered to stand-in webhook and SMTP servers
+const http = require('http');
+const net = require('net');
+const { AlertEngine, SmtpClient } = require('../src/server/alerts.js');
+
+async function testAlerts() {
+  const hooks = [];
+  const hookServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      hooks.push({ path: req.url, body: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+
+  const mails = [];
+  const smtpServer = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (message !== null) {
+          if (line === '.') {
+            mails.push(message);
+            message = null;
+            socket.write('250 queued\r\n');
+          } else {
+            message += line + '\n';
+          }
+        } else if (/^EHLO/.test(line)) socket.write('250-localhost\r\n250 AUTH PLAIN LOGIN\r\n');
+        else if (/^AUTH PLAIN/.test(line)) socket.write('235 ok\r\n');
+        else if (line === 'DATA') {
+          message = '';
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+
+  await new Promise(resolve => hookServer.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+
+  const hookUrl = `http://127.0.0.1:${hookServer.address().port}`;
+  const engine = new AlertEngine({
+    groupWaitSeconds: 0,
+    channels: {
+      hook: { type: 'webhook', url: `${hookUrl}/hook` },
+      chat: { type: 'slack', url: `${hookUrl}/slack` },
+      mail: { type: 'smtp', host: '127.0.0.1', port: smtpServer.address().port, from: 'logsv@test', to: ['ops@test'], auth: { user: 'u', pass: 'p' } }
+    },
+    rules: [
+      { name: 'burst', type: 'count', threshold: 3, windowMinutes: 5, groupBy: 'server', scope: { server: 'web-*', severity: ['critical', 'high'] }, channels: ['hook'] },
+      { name: 'new-error', type: 'new-fingerprint', channels: ['chat'] },
+      { name: 'offline', type: 'server-offline', channels: ['mail'] }
+    ]
+  });
+
+  const event = (serverId, severity, id) => ({ id, serverId, severity, category: 'Database Connectivity', errorMessage: `failure ${id}` });
+
+  // Out-of-scope events don't count towards the threshold
+  engine.onError(event('db-1', 'critical', 'a'), false);
+  engine.onError(event('web-1', 'low', 'b'), false);
+  engine.onError(event('web-1', 'critical', 'c'), false);
+  engine.onError(event('web-1', 'high', 'd'), false);
+  await engine.drain();
+  assert.strictEqual(hooks.length, 0, 'Should not fire below the threshold');
+
+  engine.onError(event('web-1', 'critical', 'e'), false);
+  engine.onError(event('web-1', 'critical', 'f'), false);
+  await engine.drain();
+  assert.strictEqual(hooks.length, 1, 'Should fire once per condition');
+  assert.strictEqual(hooks[0].body.alerts[0].status, 'firing', 'Should send a firing notification');
+  assert.strictEqual(hooks[0].body.alerts[0].key, 'web-1', 'Should group by server');
+
+  engine.evaluate(Date.now() + 6 * 60 * 1000);
+  await engine.drain();
+  assert.strictEqual(hooks[1].body.alerts[0].status, 'resolved', 'Should resolve once the window empties');
+  assert.ok(!engine.windows.has('burst|web-1'), 'Should drop minute counters that left the window');
+
+  // Firing again inside the cooldown stays quiet
+  ['g', 'h', 'i'].forEach(id => engine.onError(event('web-1', 'critical', id), false));
+  await engine.drain();
+  assert.strictEqual(hooks.length, 2, 'Should respect the cooldown');
+
+  // Two new errors in the same batch become one Slack message
+  engine.onError(event('web-2', 'medium', 'j'), true);
+  engine.onError(event('web-2', 'medium', 'k'), true);
+  await engine.drain();
+  const slack = hooks.filter(hook => hook.path === '/slack');
+  assert.strictEqual(slack.length, 1, 'Should group notifications');
+  assert.strictEqual(slack[0].body.text.split('\n').length, 2, 'Should list both new errors');
+
+  engine.onServerStatus({ serverId: 'web-1', serverName: 'Web 1', status: 'offline' });
+  await engine.drain();
+  engine.onServerStatus({ serverId: 'web-1', serverName: 'Web 1', status: 'online' });
+  await engine.drain();
+  assert.strictEqual(mails.length, 2, 'Should email offline and back-online notifications');
+  assert.ok(/Subject: \[LogSV\] 1 alert firing/.test(mails[0]) && /Web 1 is offline/.test(mails[0]), 'Should email the offline alert');
+  assert.ok(/Web 1 is back online/.test(mails[1]), 'Should email the resolve message');
+
+  // A relay that hangs up without replying fails the delivery instead of leaving it pending
+  const hangUp = net.createServer(socket => socket.end());
+  await new Promise(resolve => hangUp.listen(0, '127.0.0.1', resolve));
+  await assert.rejects(
+    new SmtpClient({ host: '127.0.0.1', port: hangUp.address().port, timeout: 2000 }).send({ from: 'a@test', to: 'b@test', subject: 's', text: 't' }),
+    /SMTP connection closed/
+  );
+  hangUp.close();
+
+  engine.stop();
+  hookServer.close();
+  smtpServer.close();
+
+  console.log('✅ Alerting test passed');
+}
+
+// Test 16: Per-file shipping policy
+const { ShippingPolicy } = require('../src/agent/index.js');
+
+const warnPolicy = new ShippingPolicy({ minLevel: 'WARN', exclude: ['healthcheck'] });
+assert.strictEqual(warnPolicy.decide({ level: 'WARN', message: 'Disk almost full', urgency: 4 }), 1, 'Should ship warnings');
+assert.strictEqual(warnPolicy.decide({ level: 'INFO', message: 'Started', urgency: 1 }), 0, 'Should drop lines below minLevel');
+assert.strictEqual(warnPolicy.decide({ level: 'ERROR', message: 'healthcheck failed', urgency: 8 }), 0, 'Should drop excluded lines');
+
+const coin = [0.5, 0.001];
+const sampledPolicy = new ShippingPolicy({ minLevel: 'INFO', sample: { INFO: 0.01 } }, () => coin.shift());
+assert.strictEqual(sampledPolicy.decide({ level: 'INFO', message: 'GET /', urgency: 1 }), 0, 'Should sample INFO lines out');
+assert.strictEqual(sampledPolicy.decide({ level: 'INFO', message: 'GET /', urgency: 1 }), 0.01, 'Should report the sample rate kept at');
+
+const shippingAgent = new LogScopeAgent({ logFiles: [], ship: { minUrgency: 9 } });
+const shipped = [];
+shippingAgent.enqueue = message => shipped.push(message.data);
+shippingAgent.processLogLine('ERROR: job stopped', { path: '/var/log/jobs.log', type: 'auto', ship: { minUrgency: 0 } });
+shippingAgent.processLogLine('ERROR: job stopped', { path: '/var/log/other.log', type: 'auto' });
+assert.deepStrictEqual(shipped.map(e => [e.logFile, e.level, e.sampleRate]), [['/var/log/jobs.log', 'ERROR', 1]], 'Per-file settings should override agent defaults');
+
+const sampledStore = new MemoryStore();
+sampledStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage: 'GET /checkout slow', sampleRate: 0.01 });
+const sampledGroup = sampledStore.addError({ serverId: 'web-1', logFile: '/a', errorMessage: 'GET /checkout slow', sampleRate: 0.01 });
+assert.strictEqual(Math.round(sampledGroup.estimatedCount), 200, 'Should scale sampled counts back up');
+
+console.log('✅ Shipping policy test passed');
+
+// Test 17: User-defined parsers
+const customAgent = new LogScopeAgent({
+  logFiles: [],
+  parsers: {
+    billing: {
+      grok: '%{TIMESTAMP_ISO8601:time} %{LOGLEVEL:lvl} \\[%{DATA:service}\\] %{GREEDYDATA:msg}',
+      fields: { timestamp: 'time', level: 'lvl', message: 'msg' }
+    }
+  }
+});
+
+const billing = customAgent.parser.parse('2025-08-01T10:30:15Z crit [invoices] Charge declined for order 42', { type: 'billing' });
+assert.deepStrictEqual(
+  [billing.timestamp, billing.level, billing.message, billing.metadata.service, billing.parser],
+  ['2025-08-01T10:30:15.000Z', 'ERROR', 'Charge declined for order 42', 'invoices', 'billing'],
+  'Should map grok captures onto timestamp, level and message'
+);
+
+const legacyFile = {
+  type: 'custom',
+  parser: {
+    regex: '^(?<timestamp>\\d{2}/\\w{3}/\\d{4}:[\\d:]+ [+-]\\d{4}) (?<level>\\w) (?<message>.*)$',
+    timestampFormat: 'DD/MMM/YYYY:HH:mm:ss Z',
+    levels: { E: 'ERROR', W: 'WARN' }
+  }
+};
+const legacy = customAgent.parser.parse('01/Aug/2025:10:30:15 +0200 W Queue is 90% full', legacyFile);
+assert.deepStrictEqual([legacy.timestamp, legacy.level], ['2025-08-01T08:30:15.000Z', 'WARN'], 'Should apply timestampFormat and level mapping');
+
+const unmatched = customAgent.parser.parse('ERROR: something else entirely', legacyFile);
+assert.strictEqual(unmatched.parser, 'generic', 'Should fall back to the generic parser');
+assert.throws(() => customAgent.parser.registerParser('broken', { grok: '%{NOPE:x}' }), /Unknown grok pattern/, 'Should reject unknown grok patterns');
+
+console.log('✅ Custom parser test passed');
+
+// Test 18: Access-log and logfmt parsing
+const accessParser = new SmartLogParser();
+const combined = accessParser.parse(
+  '10.0.0.7 - alice [01/Aug/2025:10:30:15 +0200] "GET /api/orders?id=7 HTTP/1.1" 502 173 "-" "curl/8.4.0" 0.250',
+  { type: 'nginx' }
+);
+assert.deepStrictEqual(
+  [combined.parser, combined.level, combined.timestamp, combined.request.method, combined.request.path, combined.request.status],
+  ['access', 'ERROR', '2025-08-01T08:30:15.000Z', 'GET', '/api/orders?id=7', 502],
+  'Should parse nginx combined access lines'
+);
+assert.deepStrictEqual(
+  [combined.request.bytes, combined.request.latency, combined.request.userAgent, combined.request.remoteAddr],
+  [173, 250, 'curl/8.4.0', '10.0.0.7'],
+  'Should extract bytes, latency, user agent and remote address'
+);
+
+const clf = accessParser.parse('192.168.1.5 - - [01/Aug/2025:10:30:15 +0000] "POST /login HTTP/1.0" 401 -', { type: 'auto' });
+assert.strictEqual(clf.level, 'WARN', '4xx should be a warning');
+assert.ok(clf.semantics.hasAuth && clf.semantics.statusCode === 401, 'Semantics should use the real status code');
+
+const logfmt = accessParser.parse('ts=2025-08-01T10:30:15Z level=info msg="upstream reset" method=PUT path=/cart status=503 duration=1.5s', { type: 'auto' });
+assert.deepStrictEqual([logfmt.parser, logfmt.level, logfmt.request.latency], ['logfmt', 'ERROR', 1500], '5xx logfmt lines should be errors');
+
+assert.strictEqual(accessParser.extractSemantics('Retrying in 500 ms').hasStatusCode, false, 'Should not guess status codes from any number');
+
+const numericLevel = accessParser.parse('{"level":50,"msg":"Database connection refused"}', { type: 'auto' });
+assert.strictEqual(numericLevel.level, '50', 'Non-string levels should be coerced, not throw');
+assert.strictEqual(accessParser.normalizeLevel({ toString: () => 'warning' }), 'WARN');
+
+console.log('✅ Access log parsing test passed');
+
+// Test 19: Command and journald sources
+const { CommandSource } = require('../src/agent/index.js');
+
+const journaldAgent = new LogScopeAgent({ logFiles: [{ type: 'journald', units: ['nginx.service'] }] });
+const journaldSource = journaldAgent.config.logFiles[0];
+assert.deepStrictEqual(
+  [journaldSource.path, journaldSource.cmd, journaldSource.args],
+  ['journald:nginx.service', 'journalctl', ['-f', '-o', 'json', '-n', '0', '-u', 'nginx.service']],
+  'Should turn a journald source into a journalctl command'
+);
+
+const journalEntry = journaldAgent.parser.parse(JSON.stringify({
+  MESSAGE: 'upstream timed out',
+  PRIORITY: '3',
+  SYSLOG_IDENTIFIER: 'nginx',
+  _SYSTEMD_UNIT: 'nginx.service',
+  __REALTIME_TIMESTAMP: '1754044215000000'
+}), journaldSource);
+assert.deepStrictEqual(
+  [journalEntry.level, journalEntry.message, journalEntry.metadata.service, journalEntry.metadata.unit, journalEntry.timestamp],
+  ['ERROR', 'upstream timed out', 'nginx', 'nginx.service', '2025-08-01T10:30:15.000Z'],
+  'Should map journald fields onto level, message and service'
+);
+
+console.log('✅ Journald source test passed');
+
+// Test 20: Syslog parsing and framing
+const { parseSyslogMessage, createFramer, SyslogReceiver } = require('../src/server/syslog.js');
+
+const rfc5424 = parseSyslogMessage('<165>1 2025-08-01T10:30:15.003Z fw-01 kernel 42 LINK [meta port="eth0" state="down"] Interface eth0 down');
+assert.deepStrictEqual(
+  [rfc5424.format, rfc5424.facility, rfc5424.severity, rfc5424.level, rfc5424.hostname, rfc5424.appName, rfc5424.procId, rfc5424.msgId],
+  ['rfc5424', 'local4', 'notice', 'INFO', 'fw-01', 'kernel', '42', 'LINK'],
+  'Should parse the RFC 5424 header and PRI'
+);
+assert.deepStrictEqual(rfc5424.structuredData, { meta: { port: 'eth0', state: 'down' } }, 'Should parse structured data');
+assert.strictEqual(rfc5424.message, 'Interface eth0 down');
+
+const rfc3164 = parseSyslogMessage('<27>Aug  1 10:30:15 switch-2 snmpd[991]: Disk failure on /dev/sda', new Date(2025, 7, 2));
+assert.deepStrictEqual(
+  [rfc3164.format, rfc3164.facility, rfc3164.level, rfc3164.hostname, rfc3164.appName, rfc3164.procId, rfc3164.message],
+  ['rfc3164', 'daemon', 'ERROR', 'switch-2', 'snmpd', '991', 'Disk failure on /dev/sda'],
+  'Should parse BSD syslog lines'
+);
+assert.strictEqual(rfc3164.timestamp.getFullYear(), 2025);
+assert.strictEqual(parseSyslogMessage('<12>Dec 31 23:59:59 ups-1 apcupsd: On battery', new Date(2026, 0, 1)).timestamp.getFullYear(), 2025, 'Should assume last year for dates in the future');
+assert.strictEqual(parseSyslogMessage('<12>cron: job skipped').appName, 'cron', 'Should cope with a missing timestamp and hostname');
+
+const frames = [];
+const frame = createFramer(message => frames.push(message));
+frame(Buffer.from('18 <11>1 - - - - - hi'));
+frame(Buffer.from('11 <11>wrapped\n<11>plain\n'));
+frame(Buffer.from('<11>split'));
+frame(Buffer.from(' line\n'));
+assert.deepStrictEqual(frames, ['<11>1 - - - - - hi', '<11>wrapped', '<11>plain', '<11>split line'], 'Should handle octet counting and newline framing');
+
+console.log('✅ Syslog parsing test passed');
+
+// Test 21: Real line numbers, byte offsets and surrounding lines
+const lineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-lines-'));
+const lineFile = path.join(lineDir, 'app.log');
+fs.writeFileSync(lineFile, 'one\n\nthree ü\n');
+
+const positions = [];
+const lineTailer = new FileTailer(lineFile, (line, position) => positions.push([line, position.lineNumber, position.offset]));
+lineTailer.start();
+fs.appendFileSync(lineFile, 'four\nfi');
+lineTailer.readNewLines();
+fs.appendFileSync(lineFile, 've\n');
+lineTailer.readNewLines();
+lineTailer.stop();
+assert.deepStrictEqual(positions, [['four', 4, 14], ['five', 5, 19]], 'Should count lines (blank ones too) and bytes before the tail start');
+
+const lineCheckpoint = { inode: fs.statSync(lineFile).ino, offset: 14, line: 3 };
+const fromCheckpoint = [];
+const resumedTailer = new FileTailer(lineFile, (line, position) => fromCheckpoint.push(position.lineNumber), { checkpoint: lineCheckpoint });
+resumedTailer.start();
+resumedTailer.stop();
+assert.deepStrictEqual(fromCheckpoint, [4, 5], 'Should take the line count from the checkpoint');
+
+const contextAgent = new LogScopeAgent({ stateDir: lineDir, logFiles: [], context: { before: 2, after: 2 } });
+const contextSent = [];
+contextAgent.enqueue = message => contextSent.push(message.data);
+const contextFile = { path: '/var/log/app.log', type: 'generic' };
+const { handle: contextHandle } = contextAgent.lineHandler(contextFile);
+['INFO: a', 'INFO: b', 'INFO: c', 'ERROR: boom', 'INFO: d'].forEach((line, i) => contextHandle(line, { lineNumber: i + 1, offset: i * 10 }));
+assert.strictEqual(contextSent.length, 0, 'Should hold the error until the lines after it arrive');
+contextHandle('INFO: e', { lineNumber: 6, offset: 50 });
+assert.deepStrictEqual(
+  [contextSent[0].lineNumber, contextSent[0].offset, contextSent[0].context.before.map(line => line.text), contextSent[0].context.after.map(line => line.lineNumber)],
+  [4, 30, ['INFO: b', 'INFO: c'], [5, 6]],
+  'Should attach the lines before and after the error'
+);
+contextHandle('ERROR: last words', { lineNumber: 7, offset: 60 });
+contextAgent.stop();
+assert.deepStrictEqual(contextSent[1].context.after, [], 'Should send held errors on stop');
+
+// The checkpoint stays at an error that is still waiting for its context, so a crash can't lose it
+const heldFile = path.join(lineDir, 'held.log');
+fs.writeFileSync(heldFile, 'INFO: a\nERROR: boom\nINFO: b\n');
+const heldAgent = new LogScopeAgent({ stateDir: lineDir, logFiles: [], context: { before: 1, after: 2 } });
+heldAgent.enqueue = () => {};
+heldAgent.startTailer(heldFile, { path: heldFile, type: 'generic' }, true);
+heldAgent.saveCheckpoints();
+const savedAt = () => (({ offset, line }) => [offset, line])(heldAgent.checkpoints.get(heldFile));
+assert.deepStrictEqual(savedAt(), [8, 1], 'Should checkpoint at the oldest held line');
+fs.appendFileSync(heldFile, 'INFO: c\n');
+heldAgent.tailers.get(heldFile).readNewLines();
+heldAgent.saveCheckpoints();
+assert.deepStrictEqual(savedAt(), [36, 4], 'Should move on once the error is sent');
+heldAgent.stop();
+
+fs.rmSync(lineDir, { recursive: true, force: true });
+
+console.log('✅ Line number and context test passed');
+
+// Test 22: Time-series buckets, downsampling and agent line counts
+const { TimeSeries } = require('../src/server/timeseries.js');
+const seriesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-series-'));
+const series = new TimeSeries({ minuteRetentionHours: 1, file: path.join(seriesDir, 'timeseries.json') });
+const seriesNow = Date.now();
+const minutesAgo = minutes => seriesNow - minutes * 60 * 1000;
+
+series.record('events', { server: 'web-1', level: 'ERROR', category: 'Database Connectivity', file: 'app.log' }, 1, minutesAgo(2));
+series.record('events', { server: 'web-1', level: 'WARN', category: 'General', file: 'app.log' }, 1, minutesAgo(2));
+series.record('events', { server: 'web-2', level: 'ERROR', category: 'General', file: 'app.log' }, 1, minutesAgo(30));
+series.record('lines', { server: 'web-1', level: 'INFO', file: 'app.log' }, 40, minutesAgo(2));
+
+const byServer = series.query({ metric: 'events', groupBy: 'server', from: new Date(minutesAgo(45)), step: '15m' }, seriesNow);
+assert.strictEqual(byServer.step, '15m');
+assert.deepStrictEqual(byServer.series.map(s => [s.key, s.total, s.values.reduce((a, b) => a + b)]), [['web-1', 2, 2], ['web-2', 1, 1]]);
+assert.strictEqual(byServer.series[0].values.length, byServer.series[1].values.length);
+const errorsOnly = series.query({ metric: 'events', groupBy: 'level', from: new Date(minutesAgo(45)), filters: { server: 'web-1' } }, seriesNow);
+assert.deepStrictEqual(errorsOnly.series.map(s => [s.key, s.total]).sort(), [['ERROR', 1], ['WARN', 1]]);
+assert.strictEqual(errorsOnly.step, '1m', 'Should pick a step that keeps the point count reasonable');
+assert.strictEqual(series.query({ metric: 'lines', from: new Date(minutesAgo(45)) }, seriesNow).series[0].total, 40, 'Metrics should not mix');
+assert.throws(() => series.query({ metric: 'lines', groupBy: 'category' }), /can't be grouped/);
+assert.throws(() => series.query({ metric: 'bytes' }), /Unknown metric/);
+assert.throws(() => series.query({ step: '1h', from: new Date(minutesAgo(60 * 24 * 365)) }, seriesNow), /too many/);
+
+// Past the minute retention, minutes fold into hours and only hour steps are offered
+series.record('events', { server: 'web-3', level: 'ERROR', category: 'General', file: 'app.log' }, 5, minutesAgo(3 * 60));
+series.compact(seriesNow + 2 * 60 * 60 * 1000);
+assert.strictEqual(series.minutes.size, 0);
+const longRange = series.query({ metric: 'events', from: new Date(minutesAgo(4 * 60)), step: '5m' }, seriesNow);
+assert.strictEqual(longRange.step, '1h', 'Hour buckets should not be split into minutes');
+assert.strictEqual(longRange.series[0].total, 8);
+
+series.save();
+const reloadedSeries = new TimeSeries({ minuteRetentionHours: 1, file: path.join(seriesDir, 'timeseries.json') });
+reloadedSeries.load();
+assert.strictEqual(reloadedSeries.query({ metric: 'events', from: new Date(minutesAgo(4 * 60)) }).series[0].total, 8, 'Should survive a restart');
+fs.rmSync(seriesDir, { recursive: true, force: true });
+
+const statsAgent = new LogScopeAgent({ logFiles: [] });
+const statsSent = [];
+let connected = false;
+statsAgent.send = message => connected && statsSent.push(message);
+['ERROR: a', 'WARN: b', 'INFO: c', 'ERROR: d'].forEach(line => statsAgent.processLogLine(line, { path: '/var/log/app.log', type: 'generic' }));
+statsSent.length = 0;
+statsAgent.sendStats();
+assert.strictEqual(statsSent.length, 0);
+connected = true;
+statsAgent.sendStats();
+assert.deepStrictEqual(statsSent[0].data.counts, { '/var/log/app.log': { ERROR: 2, WARN: 1, INFO: 1 } }, 'Counts should wait for a report that gets through');
+statsAgent.sendStats();
+assert.deepStrictEqual(statsSent[1].data.counts, {}, 'Counts should only be reported once');
+
+console.log('✅ Time series test passed');
+
+// Test 23: Baseline-aware anomaly detection
+const { AnomalyDetector } = require('../src/server/anomaly.js');
+const FIVE_MINUTES = 5 * 60 * 1000;
+const anomalyNow = Date.now() - (Date.now() % FIVE_MINUTES) + 1000;
+const intervalsAgo = n => anomalyNow - n * FIVE_MINUTES;
+
+const detector = new AnomalyDetector();
+detector.observe({ server: 'quiet-1', category: 'Authentication' }, 0, intervalsAgo(48));
+for (let i = 48; i >= 1; i--) {
+  // A busy server logs 40-60 errors every five minutes; a quiet one logs nothing
+  detector.observe({ server: 'busy-1', category: 'API Issues' }, 40 + (i % 5) * 5, intervalsAgo(i));
+}
+detector.observe({ server: 'busy-1', category: 'API Issues' }, 62, anomalyNow);
+detector.observe({ server: 'quiet-1', category: 'Authentication' }, 6, anomalyNow);
+const found = detector.detect(anomalyNow);
+assert.deepStrictEqual(found.map(a => `${a.dimension}:${a.value}`).sort(), ['category:Authentication', 'server:quiet-1'],
+  'A normal busy interval should not be a spike, a burst on a quiet server should');
+assert.ok(found[0].baseline.samples >= 12 && found[0].baseline.mean < 0.1);
+
+detector.observe({ server: 'busy-1' }, 100, anomalyNow);
+const busySpike = detector.detect(anomalyNow).find(a => a.value === 'busy-1');
+assert.ok(busySpike && busySpike.baseline.mean > 40 && busySpike.observed === 162, 'Should compare against the server\'s own rate');
+assert.ok(detector.confidence(3) === 70 && detector.confidence(4) < detector.confidence(8), 'Confidence should follow the deviation');
+assert.ok(found.every(a => a.confidence >= 70 && a.confidence <= 99));
+
+const relaxed = new AnomalyDetector({ sensitivity: 'low', minCount: 1 });
+relaxed.observe({ server: 'quiet-2' }, 0, intervalsAgo(20));
+relaxed.observe({ server: 'quiet-2' }, 3, anomalyNow);
+assert.deepStrictEqual(relaxed.detect(anomalyNow), [], 'Low sensitivity should need a bigger deviation');
+relaxed.observe({ server: 'quiet-2' }, 2, anomalyNow);
+assert.strictEqual(relaxed.detect(anomalyNow).length, 1);
+const fresh = new AnomalyDetector();
+fresh.observe({ server: 'old-1' }, 0, intervalsAgo(48));
+fresh.observe({ server: 'new-1' }, 50, anomalyNow);
+assert.deepStrictEqual(fresh.detect(anomalyNow), [], 'A server seen for the first time has no baseline yet');
+assert.throws(() => new AnomalyDetector({ sensitivity: 'paranoid' }), /Unknown anomaly sensitivity/);
+
+const anomalyStore = new MemoryStore({ anomaly: { sensitivity: 'high', minCount: 3 } });
+// Two hours of zero-count history, as if rebuilt from the saved time series
+anomalyStore.anomalies.observe({ server: 'db-7', category: 'Database Connectivity' }, 0, Date.now() - 24 * FIVE_MINUTES);
+for (let i = 0; i < 4; i++) {
+  anomalyStore.addError({ serverId: 'db-7', logFile: '/var/log/pg.log', errorMessage: 'database connection refused' });
+}
+anomalyStore.generateInsights();
+const spike = anomalyStore.insights.find(insight => insight.title === 'Spike in errors on db-7');
+assert.ok(spike && spike.type === 'anomaly', 'Spikes should become insights');
+assert.ok(/4 errors in the current 5-minute window vs a usual 0\.0 ± 1\.0 \(24h weighted baseline\)/.test(spike.description), spike.description);
+assert.strictEqual(spike.baseline.samples, 24);
+assert.ok(anomalyStore.insights.some(insight => insight.title === 'Spike in Database Connectivity errors'));
+anomalyStore.close();
+
+console.log('✅ Anomaly detection test passed');
+
+async function testCommandSource() {
+  const lines = [];
+  const source = new CommandSource({
+    cmd: process.execPath,
+    args: ['-e', "console.log('ERROR: first'); console.error('to stderr')"],
+    stderr: true,
+    restartDelay: 20
+  }, line => lines.push(line));
+
+  source.start();
+  for (let waited = 0; lines.length < 4 && waited < 5000; waited += 20) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  source.stop();
+
+  assert.deepStrictEqual(lines.slice(0, 4).sort(), ['ERROR: first', 'ERROR: first', 'to stderr', 'to stderr'], 'Should stream output and restart after exit');
+  assert.ok(source.attempts >= 1, 'Should count restarts for backoff');
+
+  console.log('✅ Command source test passed');
+}
+
+// Syslog over UDP and TCP into a server's store, one virtual server per host
+async function testSyslog() {
+  const LogScopeServer = require('../src/server/index.js');
+  const syslogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-syslog-'));
+  const server = new LogScopeServer(0, 0, { dataDir: syslogDir, syslog: { minLevel: 'WARN' } });
+  const receiver = new SyslogReceiver({ host: '127.0.0.1', udpPort: 0, tcpPort: 0 }, message => server.handleSyslog(message));
+  await receiver.start();
+
+  try {
+    const udp = require('dgram').createSocket('udp4');
+    await new Promise(resolve => udp.send('<11>Aug  1 10:30:15 router-1 bgpd: Neighbor 10.0.0.2 down', receiver.udpPort, '127.0.0.1', resolve));
+    udp.close();
+
+    const tcp = require('net').connect(receiver.tcpPort, '127.0.0.1');
+    const framed = '<12>1 2025-08-01T10:30:16Z nas-1 smartd - - - Temperature high';
+    tcp.end(`${Buffer.byteLength(framed)} ${framed}<14>1 2025-08-01T10:30:17Z nas-1 smartd - - - Self-test passed\n`);
+
+    for (let waited = 0; server.store.size < 2 && waited < 5000; waited += 20) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    const router = server.agents.get('syslog:router-1');
+    const nas = server.agents.get('syslog:nas-1');
+    assert.ok(router && nas, 'Each sending host should become a server');
+    assert.deepStrictEqual([router.status, router.source, router.errorCount], ['online', 'syslog', 1]);
+    assert.deepStrictEqual([nas.warningCount, nas.successCount], [1, 1], 'Levels below minLevel should only be counted');
+    assert.deepStrictEqual(
+      server.store.errors.map(error => [error.serverId, error.logFile, error.level]).sort(),
+      [['syslog:nas-1', 'syslog:smartd', 'WARN'], ['syslog:router-1', 'syslog:bgpd', 'ERROR']],
+      'Should store messages at or above minLevel'
+    );
+
+    server.checkSyslogHosts(Date.now() + 6 * 60 * 1000);
+    assert.strictEqual(router.status, 'offline', 'Silent hosts should go offline');
+  } finally {
+    receiver.stop();
+    server.stop();
+    fs.rmSync(syslogDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Syslog receiver test passed');
+}
+
+// Bulk ingestion over HTTP: JSON, gzipped NDJSON, per-record errors and keys
+async function testIngest() {
+  const LogScopeServer = require('../src/server/index.js');
+  const ingestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-ingest-'));
+  const server = new LogScopeServer(0, 0, {
+    dataDir: ingestDir,
+    ingest: { keys: ['batch-key', { id: 'fn', token: 'fn-key', serverId: 'billing-fn' }] }
+  });
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.httpServer.address().port}/api/ingest`;
+
+  const post = async (body, headers = {}) => {
+    const response = await fetch(base, { method: 'POST', body, headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    assert.strictEqual((await post('[]', { Authorization: 'Bearer wrong' })).status, 401, 'Should require an ingest key');
+
+    const json = await post(JSON.stringify([
+      { serverId: 'cron-1', message: 'Backup upload failed: connection refused', level: 'error' },
+      { serverId: 'cron-1', message: 'Backup upload failed: connection refused' },
+      { serverId: 'cron-1' },
+      { serverId: 'cron-1', message: 'x', level: 'loud' }
+    ]), { Authorization: 'Bearer batch-key', 'Content-Type': 'application/json' });
+    assert.deepStrictEqual(
+      [json.status, json.body.accepted, json.body.rejected, json.body.errors.map(error => error.index)],
+      [200, 2, 2, [2, 3]],
+      'Should accept valid records and report the rest by index'
+    );
+    assert.strictEqual(server.store.size, 1, 'Repeated records should dedup into one group');
+    assert.strictEqual(server.store.errors[0].count, 2);
+
+    const ndjson = require('zlib').gzipSync([
+      JSON.stringify({ message: 'Invoice render timeout', timestamp: '2025-08-01T10:30:15Z' }),
+      'not json',
+      JSON.stringify({ serverId: 'someone-else', message: 'spoofed' })
+    ].join('\n'));
+    const gzipped = await post(ndjson, { Authorization: 'Bearer fn-key', 'Content-Type': 'application/x-ndjson', 'Content-Encoding': 'gzip' });
+    assert.deepStrictEqual(
+      [gzipped.body.accepted, gzipped.body.errors],
+      [1, [{ index: 1, error: 'Invalid JSON' }, { index: 2, error: 'serverId someone-else is not allowed for this key' }]],
+      'Should read gzipped NDJSON and keep bound keys to their serverId'
+    );
+    const invoice = server.store.errors.find(error => error.serverId === 'billing-fn');
+    assert.deepStrictEqual([invoice.timestamp, invoice.category], ['2025-08-01T10:30:15.000Z', 'Database Connectivity']);
+
+    assert.strictEqual((await post('{"broken', { Authorization: 'Bearer batch-key' })).status, 400, 'Should reject unparseable bodies');
+  } finally {
+    server.stop();
+    fs.rmSync(ingestDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ HTTP ingestion test passed');
+}
+
+// OTLP/HTTP logs in JSON and protobuf
+async function testOTLP() {
+  const LogScopeServer = require('../src/server/index.js');
+  const otlpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-otlp-'));
+  const server = new LogScopeServer(0, 0, { dataDir: otlpDir, ingest: { keys: ['otel-key'], otlp: { minLevel: 'WARN' } } });
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.httpServer.address().port}/v1/logs`;
+  const headers = { Authorization: 'Bearer otel-key' };
+
+  try {
+    const json = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        resourceLogs: [{
+          resource: { attributes: [
+            { key: 'service.name', value: { stringValue: 'checkout' } },
+            { key: 'host.name', value: { stringValue: 'pod-7' } }
+          ] },
+          scopeLogs: [{
+            scope: { name: 'checkout.payments' },
+            logRecords: [
+              {
+                timeUnixNano: '1754044215000000000',
+                severityNumber: 17,
+                body: { stringValue: 'Payment provider timeout' },
+                traceId: '5b8efff798038103d269b633813fc60c',
+                spanId: 'eee19b7ec3c1b174',
+                attributes: [{ key: 'order.id', value: { intValue: '42' } }]
+              },
+              { severityNumber: 9, body: { stringValue: 'Order placed' } }
+            ]
+          }]
+        }]
+      })
+    });
+    assert.deepStrictEqual([json.status, await json.json()], [200, {}]);
+
+    const payment = server.store.errors.find(error => error.errorMessage === 'Payment provider timeout');
+    assert.deepStrictEqual(
+      [payment.serverId, payment.serverName, payment.logFile, payment.level, payment.timestamp],
+      ['pod-7', 'checkout (pod-7)', 'otlp:checkout', 'ERROR', '2025-08-01T10:30:15.000Z'],
+      'Should map resource attributes and severity'
+    );
+    assert.deepStrictEqual(
+      [payment.metadata.traceId, payment.metadata.spanId, payment.metadata.attributes['order.id']],
+      ['5b8efff798038103d269b633813fc60c', 'eee19b7ec3c1b174', 42],
+      'Should keep trace context and attributes'
+    );
+    assert.strictEqual(server.store.size, 1, 'Records below minLevel should not be stored');
+
+    // ExportLogsServiceRequest built by hand: resource_logs { resource, scope_logs { log_records { ... } } }
+    const bytes = (tag, ...parts) => {
+      const body = Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part) : part)));
+      return Buffer.concat([Buffer.from([tag, body.length]), body]);
+    };
+    const attribute = (key, value) => bytes(0x0a, bytes(0x0a, key), bytes(0x12, bytes(0x0a, value)));
+    const time = Buffer.alloc(9);
+    time[0] = 0x09;
+    time.writeBigUInt64LE(1754044216000000000n, 1);
+    const logRecord = Buffer.concat([
+      time,
+      Buffer.from([0x10, 13]),
+      bytes(0x2a, bytes(0x0a, 'Cache miss storm')),
+      bytes(0x4a, Buffer.from('0102030405060708090a0b0c0d0e0f10', 'hex'))
+    ]);
+    const resource = bytes(0x0a, attribute('service.name', 'search'));
+    const protobuf = bytes(0x0a, resource, bytes(0x12, bytes(0x12, logRecord)));
+
+    const binary = await fetch(url, { method: 'POST', headers: { ...headers, 'Content-Type': 'application/x-protobuf' }, body: protobuf });
+    assert.strictEqual(binary.status, 200);
+    assert.strictEqual(binary.headers.get('content-type'), 'application/x-protobuf');
+
+    const cache = server.store.errors.find(error => error.errorMessage === 'Cache miss storm');
+    assert.deepStrictEqual(
+      [cache.serverId, cache.level, cache.timestamp, cache.metadata.traceId],
+      ['search', 'WARN', '2025-08-01T10:30:16.000Z', '0102030405060708090a0b0c0d0e0f10'],
+      'Should decode protobuf requests'
+    );
+
+    assert.strictEqual((await fetch(url, { method: 'POST', body: '{}' })).status, 401, 'Should require an ingest key');
+  } finally {
+    server.stop();
+    fs.rmSync(otlpDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ OTLP receiver test passed');
+}
+
+// Streaming export in all three formats
+async function testExport() {
+  const LogScopeServer = require('../src/server/index.js');
+  const { csvCell } = require('../src/server/export.js');
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-export-'));
+  const server = new LogScopeServer(0, 0, { dataDir: exportDir, maxErrors: 5000 });
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.httpServer.address().port}/api/export`;
+
+  for (let i = 0; i < 3000; i++) {
+    // Letters only - digits would be normalized away and merge the groups
+    const id = i.toString(26).replace(/./g, c => String.fromCharCode(97 + parseInt(c, 26)));
+    server.store.addError({ serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: `Upstream timeout on shard s${id}` });
+  }
+  const formula = '=HYPERLINK("x") failed, "quoted"';
+  server.store.addError({ serverId: 'web-2', logFile: '/var/log/app.log', errorMessage: formula });
+  server.store.addError({ serverId: 'web-2', logFile: '/var/log/app.log', errorMessage: formula });
+
+  try {
+    const csv = await fetch(`${base}?format=csv`);
+    assert.strictEqual(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.ok(/attachment; filename="logsv-export-.*\.csv"/.test(csv.headers.get('content-disposition')));
+    const rows = (await csv.text()).trim().split('\r\n');
+    assert.strictEqual(rows.length, 3002, 'Should export every group, not the first page');
+    assert.ok(rows[0].startsWith('id,firstSeen,lastSeen,count,estimatedCount,severity,category'));
+    assert.ok(rows[1].includes(',2,2,high,') && rows[1].endsWith(`,"'=HYPERLINK(""x"") failed, ""quoted"""`), 'Should escape and defuse formulas');
+
+    const ndjson = (await (await fetch(`${base}?format=ndjson&q=server:web-2`)).text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(ndjson.map(group => [group.serverId, group.count]), [['web-2', 2]], 'Should apply the search query');
+
+    const json = await (await fetch(`${base}?format=json&q=timeout&limit=10`)).json();
+    assert.strictEqual(json.length, 10);
+    assert.deepStrictEqual(await (await fetch(`${base}?format=json&q=nothing-matches-this`)).json(), []);
+
+    assert.strictEqual((await fetch(`${base}?format=xml`)).status, 400);
+    assert.strictEqual((await fetch(`${base}?q=severity:(critical`)).status, 400, 'Query errors should come before the download starts');
+    assert.strictEqual(csvCell(-1), '-1', 'Numbers should not be treated as formulas');
+  } finally {
+    server.stop();
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Export test passed');
+}
+
+// Live dashboard stream: events, and backfill for a dashboard that reconnects
+async function testLiveStream() {
+  const LogScopeServer = require('../src/server/index.js');
+  const WebSocket = require('ws');
+  const liveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-live-'));
+  const server = new LogScopeServer(0, 0, { dataDir: liveDir });
+  await new Promise(resolve => server.dashboardWsServer.listen(0, '127.0.0.1', resolve));
+  const url = `ws://127.0.0.1:${server.dashboardWsServer.address().port}`;
+
+  // Collects messages until `until` says the list is complete
+  const listen = (query, until) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(url + query);
+    const messages = [];
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for dashboard messages')), 5000);
+    ws.on('message', raw => {
+      messages.push(JSON.parse(raw));
+      if (until(messages)) {
+        clearTimeout(timer);
+        ws.close();
+        resolve(messages);
+      }
+    });
+    ws.on('error', reject);
+  });
+  const event = message => ({ serverId: 'web-1', serverName: 'Web 1', logFile: '/var/log/app.log', level: 'WARN', errorMessage: message });
+
+  try {
+    server.handleError(event('Disk 91% full'));
+
+    const first = listen('', messages => messages.some(m => m.type === 'event'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    server.handleError(event('Disk 95% full'));
+    const messages = await first;
+
+    assert.deepStrictEqual(messages.slice(0, 4).map(m => m.type), ['servers', 'errors', 'insights', 'backfill'], 'Should send a snapshot first');
+    const backfill = messages[3].data;
+    assert.deepStrictEqual([backfill.reset, backfill.seq, backfill.events.map(e => e.errorMessage)], [true, 1, ['Disk 91% full']]);
+
+    const live = messages.find(m => m.type === 'event').data;
+    assert.deepStrictEqual(
+      [live.seq, live.serverName, live.level, live.errorMessage, live.category],
+      [2, 'Web 1', 'WARN', 'Disk 95% full', 'File System'],
+      'Should broadcast each event as it arrives'
+    );
+
+    // Missed while disconnected
+    server.handleError(event('Disk 97% full'));
+    server.handleError(event('Disk 99% full'));
+    const resumed = (await listen('?since=2', messages => messages.length === 4))[3].data;
+    assert.deepStrictEqual(
+      [resumed.reset, resumed.complete, resumed.events.map(e => e.seq)],
+      [false, true, [3, 4]],
+      'Should replay only what a reconnecting dashboard missed'
+    );
+
+    assert.strictEqual(server.backfill('900').reset, true, 'A seq from before a restart should start over');
+  } finally {
+    server.stop();
+    fs.rmSync(liveDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Live stream test passed');
+}
+
+// A big file is counted in the background instead of holding up the agent
+async function testLargeFileStart() {
+  const largeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-large-'));
+  const largeFile = path.join(largeDir, 'big.log');
+  const filler = 'INFO: request served in 12ms by worker 3 of the pool\n';
+  fs.writeFileSync(largeFile, filler.repeat(60000));
+
+  const seen = [];
+  const tailer = new FileTailer(largeFile, (line, position) => seen.push([line, position.lineNumber]));
+  const ready = tailer.start();
+  assert.strictEqual(tailer.lineNumber, null, 'Should not count a big file before start() returns');
+
+  // Written while counting - still read once the count is known
+  fs.appendFileSync(largeFile, 'ERROR: late\n');
+  await ready;
+  tailer.stop();
+  assert.deepStrictEqual(seen, [['ERROR: late', 60001]], 'Should number lines from the background count');
+
+  fs.rmSync(largeDir, { recursive: true, force: true });
+
+  console.log('✅ Large file start test passed');
+}
+
+// Rolled storage segments are compacted in the background
+async function testSegmentCompaction() {
+  const { SegmentBackend } = require('../src/server/storage.js');
+  const compactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-compact-'));
+  const backend = new SegmentBackend({ dir: compactDir, segmentMaxBytes: 4 * 1024 });
+  const store = new MemoryStore({ backend });
+  store.load();
+
+  // One flush per occurrence, as if each came in a different second
+  for (let i = 0; i < 200; i++) {
+    store.addError({ serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: `Database timeout after ${i} seconds` });
+    backend.flush();
+  }
+  await backend.compacting;
+  store.close();
+
+  const files = fs.readdirSync(compactDir).filter(file => file.startsWith('segment-'));
+  const lines = files.map(file => fs.readFileSync(path.join(compactDir, file), 'utf8').split('\n').filter(Boolean).length);
+  assert.ok(files.length > 5, 'Should have rolled several segments');
+  assert.ok(lines.slice(0, -1).every(count => count === 1), `Rolled segments should keep one line per group (${lines})`);
+
+  const reloaded = new MemoryStore({ backend: new SegmentBackend({ dir: compactDir }) });
+  reloaded.load();
+  assert.strictEqual(reloaded.errors[0].count, 200, 'Should reload the latest state');
+  reloaded.close();
+  fs.rmSync(compactDir, { recursive: true, force: true });
+
+  console.log('✅ Segment compaction test passed');
+}
+
+// Error group lifecycle: status changes with history, regressions and muting
+async function testLifecycle() {
+  const LogScopeServer = require('../src/server/index.js');
+  const lifecycleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-lifecycle-'));
+  let server = new LogScopeServer(0, 0, { dataDir: lifecycleDir });
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  let base = `http://127.0.0.1:${server.httpServer.address().port}/api/errors`;
+  const post = (url, body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const event = { serverId: 'web-1', logFile: '/var/log/app.log', errorMessage: 'Payment webhook failed for order 42' };
+
+  try {
+    const group = server.store.addError({ ...event });
+    assert.strictEqual(group.status, 'open');
+
+    assert.strictEqual((await post(`${base}/${group.id}/acknowledge`, {})).status, 400, 'Changes need to say who made them');
+    assert.strictEqual((await post(`${base}/${group.id}/explode`, { by: 'ana' })).status, 400);
+    assert.strictEqual((await post(`${base}/nope/resolve`, { by: 'ana' })).status, 404);
+    assert.strictEqual((await post(`${base}/${group.id}/resolve`, null)).status, 400, 'A null body is a bad request');
+    assert.strictEqual((await post(`${base}/${group.id}/resolve`, ['ana'])).status, 400);
+
+    let updated = await (await post(`${base}/${group.id}/acknowledge`, { by: 'ana' })).json();
+    assert.strictEqual(updated.status, 'acknowledged');
+    updated = await (await post(`${base}/${group.id}/assign`, { by: 'ana', assignee: 'ben' })).json();
+    assert.strictEqual(updated.assignee, 'ben');
+    updated = await (await post(`${base}/${group.id}/resolve`, { by: 'ben', note: 'Retry added' })).json();
+    assert.strictEqual(updated.status, 'resolved');
+    assert.deepStrictEqual(updated.history.map(entry => [entry.action, entry.by]), [['acknowledge', 'ana'], ['assign', 'ana'], ['resolve', 'ben']]);
+    assert.strictEqual(updated.history[2].note, 'Retry added');
+    assert.deepStrictEqual(await (await fetch(`${base}/${group.id}/history`)).json(), updated.history);
+    assert.strictEqual((await (await fetch(`${base}?q=state:resolved`)).json()).length, 1, 'state: should search by status');
+
+    // The same fingerprint again reopens the group as a regression
+    server.handleError({ ...event, errorMessage: 'Payment webhook failed for order 43' });
+    assert.strictEqual(group.status, 'open');
+    assert.strictEqual(group.regression, true);
+    assert.deepStrictEqual(group.history.slice(-1).map(entry => [entry.action, entry.by, entry.from]), [['regressed', 'system', 'resolved']]);
+    const insight = server.store.insights.find(item => item.type === 'regression');
+    assert.ok(insight && insight.groupId === group.id && insight.description.includes('by ben'), 'A regression should be an insight');
+
+    // Acknowledging it clears the insight; the history survives a restart
+    await post(`${base}/${group.id}/acknowledge`, { by: 'ana' });
+    assert.ok(!server.store.insights.some(item => item.type === 'regression'));
+
+    assert.strictEqual((await post(`${base}/${group.id}/mute`, { by: 'ana', until: '2001-01-01T00:00:00Z' })).status, 400, 'Mutes end in the future');
+    updated = await (await post(`${base}/${group.id}/mute`, { by: 'ana', minutes: 30 })).json();
+    assert.strictEqual(updated.status, 'muted');
+    assert.ok(new Date(updated.mutedUntil) > new Date());
+    const replayed = { type: 'error', stream: 'agent-stream', seq: 7, data: { serverId: 'web-1' } };
+    assert.strictEqual(server.acceptSequence(replayed), true);
+
+    server.stop();
+    server = new LogScopeServer(0, 0, { dataDir: lifecycleDir });
+    assert.strictEqual(server.acceptSequence(replayed), false, 'Replays should still be recognized after a restart');
+    await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.httpServer.address().port}/api/errors`;
+    const reloaded = await (await fetch(`${base}/${group.id}`)).json();
+    assert.strictEqual(reloaded.status, 'muted');
+    assert.strictEqual(reloaded.history.length, 6);
+
+    // An expired mute lifts on the next occurrence
+    const stored = server.store.get(group.id);
+    stored.mutedUntil = new Date(Date.now() - 1000).toISOString();
+    server.handleError({ ...event });
+    assert.strictEqual(stored.status, 'open');
+    assert.deepStrictEqual(stored.history.slice(-1).map(entry => [entry.action, entry.by]), [['unmute', 'system']]);
+
+    // With auth configured only the admin token may change a group
+    server.stop();
+    server = new LogScopeServer(0, 0, { dataDir: lifecycleDir, auth: { adminToken: 'admin-secret' } });
+    await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.httpServer.address().port}/api/errors`;
+    assert.strictEqual((await post(`${base}/${group.id}/resolve`, { by: 'mallory' })).status, 401, 'Changes should need the admin token');
+    assert.strictEqual((await fetch(`${base}/${group.id}`)).status, 200, 'Reading stays open');
+    const authorized = await fetch(`${base}/${group.id}/resolve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer admin-secret' },
+      body: JSON.stringify({ by: 'ana' })
+    });
+    assert.strictEqual((await authorized.json()).status, 'resolved');
+  } finally {
+    server.stop();
+    fs.rmSync(lifecycleDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Error lifecycle test passed');
+}
+
+// /api/timeseries over error events and agent line counts
+async function testTimeseriesAPI() {
+  const LogScopeServer = require('../src/server/index.js');
+  const seriesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsv-timeseries-'));
+  const server = new LogScopeServer(0, 0, { dataDir: seriesDir });
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.httpServer.address().port}/api/timeseries`;
+
+  try {
+    server.handleError({ serverId: 'db-1', logFile: '/var/log/pg.log', errorMessage: 'database connection refused' });
+    server.handleError({ serverId: 'db-1', logFile: '/var/log/pg.log', errorMessage: 'database connection refused' });
+    server.updateStats({ serverId: 'db-1', stats: {}, counts: { '/var/log/pg.log': { INFO: 7, ERROR: 2 } } });
+
+    const events = await (await fetch(`${base}?metric=events&groupBy=category`)).json();
+    assert.deepStrictEqual(events.series.map(s => [s.key, s.total]), [['Database Connectivity', 2]]);
+    const lines = await (await fetch(`${base}?metric=lines&groupBy=level&file=/var/log/pg.log`)).json();
+    assert.deepStrictEqual(lines.series.map(s => [s.key, s.total]), [['INFO', 7], ['ERROR', 2]]);
+
+    assert.strictEqual((await fetch(`${base}?step=7x`)).status, 400);
+    assert.strictEqual((await fetch(`${base}?from=yesterday-ish`)).status, 400);
+  } finally {
+    server.stop();
+    fs.rmSync(seriesDir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Time series API test passed');
+}
+
+testAlerts()
+  .then(testCommandSource)
+  .then(testSyslog)
+  .then(testIngest)
+  .then(testOTLP)
+  .then(testExport)
+  .then(testLiveStream)
+  .then(testLargeFileStart)
+  .then(testSegmentCompaction)
+  .then(testLifecycle)
+  .then(testTimeseriesAPI)
+  .then(() => {
+    console.log('');
+    console.log('🎉 All tests passed!');
+    console.log('LogSV is ready for deployment!');
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });